@@ -0,0 +1,198 @@
+/**
+ * Luggest build
+ * -------------
+ * Generates the distributed builds from src/luggest.core.js and src/luggest.css:
+ *
+ * - src/luggest.mjs      ES module (default export and named exports)
+ * - src/luggest.umd.js   UMD: CommonJS, AMD, or a `Luggest` global when loaded as a plain script
+ * - src/luggest.js       Compatibility build: `window.Luggest` with declarative auto-initialization
+ * - src/luggest.min.js   Minified compatibility build
+ * - src/luggest.min.css  Minified stylesheet
+ *
+ * The generated files are not tracked; they are built before packing (`prepack`).
+ *
+ * Usage: node scripts/build.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const terser = require('terser');
+const csso = require('csso');
+
+const src_dir = path.join(__dirname, '..', 'src');
+
+/**
+ * Indent every non-empty line.
+ *
+ * @param {String} code
+ * @param {String} prefix
+ *
+ * @returns {String}
+ */
+function indent(code, prefix) {
+
+    return code.split('\n').map(function (line) {
+        return line === '' ? line : prefix + line;
+    }).join('\n');
+}
+
+/**
+ * Build file banner.
+ *
+ * @param {String} description
+ *
+ * @returns {String}
+ */
+function banner(description) {
+
+    return [
+        '/**',
+        ' * Luggest - Lightweight Autocomplete Library',
+        ' * ------------------------------------------',
+        ' * ' + description,
+        ' *',
+        ' * Generated from src/luggest.core.js by scripts/build.js, do not edit.',
+        ' *',
+        ' * Repository: https://github.com/yesman93/luggest',
+        ' * License: MIT',
+        ' */',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Generate the builds from the current core.
+ *
+ * @returns {Object<string, string>} File name in src/ => content.
+ */
+function build() {
+
+    const source = fs.readFileSync(path.join(src_dir, 'luggest.core.js'), 'utf8');
+
+    // Drop the core's own header comment, builds get their banner
+    const core = source.slice(source.indexOf('*/') + 2).trim() + '\n';
+
+    return {
+
+        'luggest.mjs': banner('ES module build.') + '\n'
+            + core
+            + '\n'
+            + 'const Luggest = create_luggest();\n'
+            + '\n'
+            + 'export default Luggest;\n'
+            + '\n'
+            + 'export const LuggestInstance = Luggest.Instance;\n'
+            + 'export const init = Luggest.init.bind(Luggest);\n'
+            + 'export const get = Luggest.get.bind(Luggest);\n'
+            + 'export const destroy = Luggest.destroy.bind(Luggest);\n'
+            + 'export const sources = Luggest.sources.bind(Luggest);\n'
+            + 'export const html = Luggest.html.bind(Luggest);\n'
+            + 'export const scan = Luggest.scan.bind(Luggest);\n'
+            + 'export const observe = Luggest.observe.bind(Luggest);\n'
+            + 'export const disconnect = Luggest.disconnect.bind(Luggest);\n',
+
+        'luggest.umd.js': banner('UMD build (CommonJS, AMD or `Luggest` global).') + '\n'
+            + '(function (root, factory) {\n'
+            + '\n'
+            + '    if (typeof define === \'function\' && define.amd) {\n'
+            + '        define([], factory);\n'
+            + '    } else if (typeof module === \'object\' && module.exports) {\n'
+            + '        module.exports = factory();\n'
+            + '    } else if (!root.Luggest) {\n'
+            + '        root.Luggest = factory();\n'
+            + '    }\n'
+            + '\n'
+            + '})(typeof self !== \'undefined\' ? self : this, function () {\n'
+            + '\n'
+            + indent(core, '    ')
+            + '\n'
+            + '    const Luggest = create_luggest();\n'
+            + '\n'
+            + '    Luggest.LuggestInstance = Luggest.Instance;\n'
+            + '\n'
+            + '    return Luggest;\n'
+            + '});\n',
+
+        'luggest.js': banner('Compatibility build: defines `window.Luggest` and initializes declarative inputs.') + '\n'
+            + '(function () {\n'
+            + '\n'
+            + indent(core, '    ')
+            + '\n'
+            + '    // Loaded twice (or Luggest provided by a module build): keep the existing one\n'
+            + '    if (window.Luggest) {\n'
+            + '        return;\n'
+            + '    }\n'
+            + '\n'
+            + '    const Luggest = create_luggest();\n'
+            + '\n'
+            + '    Object.defineProperty(window, \'Luggest\', {\n'
+            + '        configurable: true,\n'
+            + '        enumerable: false,\n'
+            + '        writable: false,\n'
+            + '        value: Luggest\n'
+            + '    });\n'
+            + '\n'
+            + '    // Declarative initialization of inputs with data-luggest-* attributes\n'
+            + '    const start = function () {\n'
+            + '        Luggest._auto_start();\n'
+            + '    };\n'
+            + '\n'
+            + '    // Deferred, so that `Luggest.auto_init = false` right after the script tag takes effect\n'
+            + '    if (document.readyState === \'loading\') {\n'
+            + '        document.addEventListener(\'DOMContentLoaded\', start);\n'
+            + '    } else {\n'
+            + '        setTimeout(start, 0);\n'
+            + '    }\n'
+            + '})();\n'
+    };
+}
+
+/**
+ * Minify the compatibility build and the stylesheet (which keeps its own header).
+ *
+ * @param {Object<string, string>} builds Result of build().
+ *
+ * @returns {Promise<Object<string, string>>} File name in src/ => content.
+ */
+function minify(builds) {
+
+    const preamble = '/*! Luggest | MIT License | https://github.com/yesman93/luggest */';
+    const css = fs.readFileSync(path.join(src_dir, 'luggest.css'), 'utf8');
+
+    return terser.minify(builds['luggest.js'], {
+        compress: true,
+        mangle: true,
+        format: { comments: false, preamble: preamble }
+    }).then(function (result) {
+        return {
+            'luggest.min.js': result.code + '\n',
+            'luggest.min.css': csso.minify(css).css + '\n'
+        };
+    });
+}
+
+if (require.main === module) {
+
+    const builds = build();
+
+    minify(builds).then(function (minified) {
+
+        Object.assign(builds, minified);
+
+        Object.keys(builds).forEach(function (name) {
+            fs.writeFileSync(path.join(src_dir, name), builds[name]);
+            console.log('Built src/' + name);
+        });
+
+    }).catch(function (error) {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    build: build,
+    minify: minify
+};
@@ -0,0 +1,5426 @@
+/**
+ * Luggest - Lightweight Autocomplete Library
+ * ------------------------------------------
+ * Vanilla JavaScript autocomplete utility with zero dependencies.
+ * Supports static arrays, remote JSON sources, keyboard navigation,
+ * per-element instances, and customizable callbacks.
+ *
+ * Core shared by the ES module, UMD and global builds, which are generated
+ * from this file by `npm run build` (scripts/build.js).
+ *
+ * Repository: https://github.com/yesman93/luggest
+ * License: MIT
+ */
+
+/**
+ * Create the Luggest core object (instance registry and factory).
+ * Nothing touches the DOM until a method is called, so it can be created outside a browser.
+ *
+ * @returns {Object} Luggest core
+ */
+function create_luggest() {
+
+    /**
+     * Luggest instance class: `new LuggestInstance(target, options)` initializes like
+     * init() and throws when it fails. Instances created by init() are instances of it as well.
+     *
+     * @param {HTMLElement|string} target
+     * @param {Object} [options]
+     *
+     * @constructor
+     */
+    function LuggestInstance(target, options) {
+
+        const instance = _instance.init(target, options);
+
+        if (!instance) {
+            throw new Error('[Luggest] Could not initialize instance for: ' + target);
+        }
+
+        return instance;
+    }
+
+    const _instance = {
+
+        /**
+         * Instance class (instanceof checks, `new Luggest.Instance(target, options)`).
+         *
+         * @type {Function}
+         */
+        Instance: LuggestInstance,
+
+        /**
+         * Map of input element IDs to their Luggest instances.
+         *
+         * @type {Object.<string, Object>}
+         */
+        _instances: {},
+
+        /**
+         * Exposed reference to instances map (read-only by convention).
+         *
+         * @type {Object.<string, Object>}
+         */
+        get instances() {
+            return this._instances;
+        },
+
+        /**
+         * Default minimal length of input to start suggesting.
+         *
+         * @type {Number}
+         */
+        default_min_length: 1,
+
+        /**
+         * Default class names of elements emitted by Luggest, overridable per
+         * instance with the `class_names` option. A value may hold several
+         * space-separated classes, or be empty to add none.
+         *
+         * @type {Object<string, string>}
+         */
+        class_names: {
+            dropdown: 'luggest-dropdown',
+            dropdown_above: 'is-above',
+            dropdown_loading: 'is-loading',
+            live_region: 'luggest-live-region',
+            item: 'luggest-item',
+            item_active: 'is-active',
+            item_create: 'luggest-create',
+            recent_remove: 'luggest-recent-remove',
+            match: 'luggest-match',
+            header: 'luggest-header',
+            footer: 'luggest-footer',
+            empty: 'luggest-empty',
+            group: 'luggest-group',
+            group_header: 'luggest-group-header',
+            tags: 'luggest-tags',
+            tag: 'luggest-tag',
+            tag_label: 'luggest-tag-label',
+            tag_remove: 'luggest-tag-remove',
+            status: 'luggest-status',
+            status_loading: 'luggest-status-loading',
+            status_error: 'luggest-status-error',
+            error_message: 'luggest-error-message',
+            retry: 'luggest-retry',
+            input_open: 'luggest-open',
+            input_loading: 'luggest-loading',
+            theme_dark: 'luggest-theme-dark',
+            theme_auto: 'luggest-theme-auto'
+        },
+
+        /**
+         * Default built-in texts, overridable per instance with the `messages` option.
+         * A message is a template with {name} placeholders, an object of plural
+         * forms keyed by exact count ('=0') or plural category (one, few, many,
+         * other, ...; see Intl.PluralRules), or a function (params) returning text.
+         *
+         * @type {Object<string, string|Object|Function>}
+         */
+        messages: {
+            results: {
+                '=0': 'No results.',
+                one: '{count} result available.',
+                other: '{count} results available.'
+            },
+            loading: 'Loading\u2026',
+            error: 'Could not load suggestions.',
+            error_announcement: 'Could not load suggestions. Press Enter to retry.',
+            retry: 'Retry',
+            remove: 'Remove {label}',
+            removed: 'Removed {label}.',
+            remove_recent: 'Remove {label} from recent',
+            removed_recent: 'Removed {label} from recent.',
+            recent: 'Recent',
+            create: 'Add "{query}"',
+            invalid: 'Please select a value from the list.'
+        },
+
+        /**
+         * Intl.Collator and Intl.PluralRules instances, keyed by type and locale.
+         *
+         * @type {Object<string, Object>}
+         */
+        _intl_cache: {},
+
+        /**
+         * Response caches shared between instances, keyed by cache key (source URL by default).
+         *
+         * @type {Object.<string, Object>}
+         */
+        _caches: {},
+
+        /**
+         * Arrays marked as source lists by Luggest.sources().
+         *
+         * @type {WeakSet<Array>}
+         */
+        _source_lists: new WeakSet(),
+
+        /**
+         * Automatically initialize inputs with `data-luggest-source` on DOMContentLoaded
+         * and when they are added later. Set to false right after loading the script to opt out.
+         *
+         * @type {Boolean}
+         */
+        auto_init: true,
+
+        /**
+         * Selector of inputs initialized declaratively.
+         *
+         * @type {String}
+         */
+        auto_init_selector: '[data-luggest-source]',
+
+        /**
+         * Observer binding added inputs and destroying instances of removed ones.
+         *
+         * @type {MutationObserver|null}
+         */
+        _observer: null,
+
+        /**
+         * Elements created by Luggest (dropdowns, live regions, tags); the observer
+         * ignores mutations within them.
+         *
+         * @type {WeakSet<Node>}
+         */
+        _ui_nodes: new WeakSet(),
+
+        /**
+         * Counter for generated element IDs.
+         *
+         * @type {Number}
+         */
+        _id_counter: 0,
+
+        /**
+         * Events after which `depends_on` values are checked: committed values only,
+         * so typing into a parent field does not reset its children on every keystroke.
+         *
+         * @type {Array<string>}
+         */
+        _dependency_events: ['change', 'luggest:select', 'luggest:remove', 'luggest:change'],
+
+        /**
+         * Initialize Luggest on an element or selector.
+         * Options from `data-luggest-*` attributes are applied as well; passed options win.
+         * Elements without an id get a generated one (removed again on destroy).
+         *
+         * @param {HTMLElement|string} target
+         * @param {Object} [options]
+         * @param {Array|String|Function|Object|Iterable} [options.source] Array of items, URL returning JSON,
+         *        function (query, context), adapter { search } or list of sources.
+         * @param {Number} [options.min_length] Minimal input length to trigger suggestions.
+         * @param {Function} [options.on_open] Callback when suggestions are shown.
+         * @param {Function} [options.on_select] Callback when item is selected.
+         * @param {Number} [options.max_results] Limit number of shown results.
+         * @param {String|Function} [options.match] Matching strategy name or custom matcher function.
+         * @param {Boolean} [options.highlight] Wrap matched label fragments in <mark> elements.
+         * @param {Function} [options.render_item] Custom item content renderer (item, query).
+         * @param {Function} [options.render_empty] Empty state renderer (query); keeps dropdown open on no results.
+         * @param {Function} [options.render_header] Header renderer (items, query).
+         * @param {Function} [options.render_footer] Footer renderer (items, query).
+         * @param {Function} [options.group_by] Returns group name for an item (overrides item.group).
+         * @param {Number} [options.max_results_per_group] Limit number of shown results per group.
+         * @param {Boolean} [options.multiple] Select multiple items shown as removable tags.
+         * @param {String} [options.input_name] Name of hidden inputs holding selected values (multiple mode).
+         * @param {Function} [options.on_remove] Callback when a selected item is removed (multiple mode).
+         * @param {Object|Function} [options.request] Remote request settings or builder (URL source).
+         * @param {Function} [options.transform_response] Map response JSON to an items array (URL source).
+         * @param {Number} [options.delay] Debounce delay in milliseconds before searching.
+         * @param {Boolean|Object} [options.cache] Response cache settings (URL source).
+         * @param {Function} [options.on_loading] Callback when a remote request starts or finishes.
+         * @param {Function} [options.on_error] Callback when loading suggestions fails.
+         * @param {Boolean|Object} [options.paging] Load further result pages on scroll (URL source).
+         * @param {HTMLElement|ShadowRoot|String} [options.append_to] Element the dropdown is mounted into.
+         * @param {Number} [options.max_height] Maximum dropdown height in pixels.
+         * @param {HTMLInputElement|String} [options.value_input] Input receiving the selected value; the label stays visible.
+         * @param {String} [options.value_name] Name of a hidden value input created by Luggest (instead of value_input).
+         * @param {Boolean} [options.strict] Reject text not matching a selected item.
+         * @param {Function} [options.on_invalid] Callback when strict mode rejects text on blur.
+         * @param {Boolean|String|Object} [options.history] Remember selected items in localStorage, shown for empty input.
+         * @param {Array} [options.pinned] Items always shown for empty input.
+         * @param {Boolean} [options.inline_completion] Complete the best prefix match inline as selected text.
+         * @param {Boolean|Function} [options.create] Offer creating an item from unmatched text; function (query) returns the row content.
+         * @param {Function} [options.on_create] Create item from query; may return a Promise of the item.
+         * @param {String} [options.theme] Built-in stylesheet theme: light (default), dark or auto.
+         * @param {Object<string, string>} [options.class_names] Override emitted class names (see `class_names`).
+         * @param {Boolean|Object} [options.index] Search array sources through a prebuilt index (optionally in a Web Worker).
+         * @param {Function} [options.on_index_stats] Callback with index build and query statistics.
+         * @param {Array|Object|String|HTMLElement} [options.depends_on] Fields (or instances) whose values are passed to the source.
+         * @param {Function} [options.filter] Filter array source items (item, depends).
+         * @param {Boolean} [options.disable_until_parent] Disable the input while a `depends_on` field is empty.
+         * @param {String|Array<string>} [options.locale] Locale of messages, matching and comparisons (default: `lang` of the input).
+         * @param {Object} [options.messages] Override built-in texts (see `messages`).
+         *
+         * @returns {Object|null} Instance bound to element or null on failure.
+         */
+        init: function (target, options) {
+
+            const element = this._resolve_element(target);
+
+            if (!element) {
+                console.error('[Luggest] Target element not found for:', target);
+                return null;
+            }
+
+            if (element.id && this._instances[element.id]) {
+                return this._instances[element.id];
+            }
+
+            const has_generated_id = !element.id;
+
+            if (has_generated_id) {
+                element.id = this._generate_id();
+            }
+
+            const id = element.id;
+
+            const normalized_options = Object.assign({}, this._read_data_options(element), options || {});
+
+            const instance = this._create_instance(element, normalized_options);
+            instance._has_generated_id = has_generated_id;
+
+            this._instances[id] = instance;
+            element.dataset.luggest = '1';
+
+            return instance;
+        },
+
+        /**
+         * Retrieve Luggest instance for given element ID.
+         *
+         * @param {String} id
+         *
+         * @returns {Object|null}
+         */
+        get: function (id) {
+            return this._instances[id] || null;
+        },
+
+        /**
+         * Destroy Luggest instance for given element ID (if exists).
+         *
+         * @param {String} id
+         *
+         * @returns {void}
+         */
+        destroy: function (id) {
+            const instance = this._instances[id];
+            if (instance && typeof instance.destroy === 'function') {
+                instance.destroy();
+            }
+        },
+
+        /**
+         * Mark a list as multiple sources, so its entries are never taken for items.
+         * Entries may be arrays, URLs, functions, adapters or descriptors { source, limit, group }.
+         *
+         * source: Luggest.sources(['/api/people', { source: '/api/projects', group: 'Projects' }])
+         *
+         * @param {Iterable<*>} list
+         *
+         * @returns {Array}
+         */
+        sources: function (list) {
+
+            const sources = Array.from(list || []);
+
+            this._source_lists.add(sources);
+
+            return sources;
+        },
+
+        /**
+         * Tagged template building a DocumentFragment from trusted markup.
+         * Interpolated values are HTML-escaped: safe in text and in quoted attribute
+         * values, but not in unquoted attributes, event handler attributes or
+         * <script>/<style>. URL attributes with script URLs are removed.
+         *
+         * Luggest.html`<strong>${item.label}</strong><small>${item.metadata.email}</small>`
+         *
+         * @param {Array<string>} strings
+         * @param {...*} values
+         *
+         * @returns {DocumentFragment}
+         */
+        html: function (strings) {
+
+            let markup = strings[0];
+
+            for (let i = 1; i < strings.length; i++) {
+
+                const value = arguments[i];
+                const text = Array.isArray(value)
+                    ? value.join('')
+                    : (value == null ? '' : String(value));
+
+                markup += _instance._escape_html(text) + strings[i];
+            }
+
+            const template = document.createElement('template');
+            template.innerHTML = markup;
+
+            _instance._remove_unsafe_urls(template.content);
+
+            return template.content;
+        },
+
+        /**
+         * Remove URL attributes (href, src, ...) whose scheme can run script:
+         * javascript:, vbscript: and data: (except data:image/ in src).
+         *
+         * @param {DocumentFragment} fragment
+         *
+         * @returns {void}
+         */
+        _remove_unsafe_urls: function (fragment) {
+
+            const url_attributes = ['href', 'src', 'action', 'formaction', 'poster', 'xlink:href'];
+            const elements = fragment.querySelectorAll('*');
+
+            for (let i = 0; i < elements.length; i++) {
+
+                for (let j = 0; j < url_attributes.length; j++) {
+
+                    const name = url_attributes[j];
+                    const value = elements[i].getAttribute(name);
+
+                    if (value === null) {
+                        continue;
+                    }
+
+                    // Browsers ignore control characters and whitespace in the scheme
+                    const url = value.replace(/[\u0000-\u0020]/g, '').toLowerCase();
+                    const is_image = name === 'src' && url.indexOf('data:image/') === 0;
+
+                    if (/^(javascript|vbscript|data):/.test(url) && !is_image) {
+                        console.error('[Luggest] Unsafe URL removed from Luggest.html:', value);
+                        elements[i].removeAttribute(name);
+                    }
+                }
+            }
+        },
+
+        /**
+         * Escape HTML special characters.
+         *
+         * @param {String} text
+         *
+         * @returns {String}
+         */
+        _escape_html: function (text) {
+
+            return text
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+
+        /**
+         * Convert render hook output into a DOM node.
+         * Nodes are used as-is, strings are inserted as plain text.
+         *
+         * @param {Node|String|null} content
+         *
+         * @returns {Node|null}
+         */
+        _to_node: function (content) {
+
+            if (content == null || content === false) {
+                return null;
+            }
+
+            if (content instanceof Node) {
+                return content;
+            }
+
+            return document.createTextNode(String(content));
+        },
+
+        /**
+         * Initialize all declarative inputs (matching `auto_init_selector`) within root.
+         *
+         * @param {Document|HTMLElement} [root]
+         *
+         * @returns {Array<Object>} Instances of matched elements.
+         */
+        scan: function (root) {
+
+            const scope = root || document;
+            const instances = [];
+            const elements = [];
+
+            if (scope instanceof HTMLElement && scope.matches(this.auto_init_selector)) {
+                elements.push(scope);
+            }
+
+            if (typeof scope.querySelectorAll === 'function') {
+                elements.push.apply(elements, scope.querySelectorAll(this.auto_init_selector));
+            }
+
+            for (let i = 0; i < elements.length; i++) {
+
+                const is_new = !(elements[i].id && this._instances[elements[i].id]);
+                const instance = this.init(elements[i]);
+
+                if (instance) {
+
+                    // Only declarative instances are destroyed with their element
+                    if (is_new) {
+                        instance._is_declarative = true;
+                    }
+
+                    instances.push(instance);
+                }
+            }
+
+            return instances;
+        },
+
+        /**
+         * Start observing the document: declarative inputs added later are initialized
+         * and declarative instances whose elements were removed from the document are destroyed.
+         *
+         * @returns {void}
+         */
+        observe: function () {
+
+            if (this._observer || typeof MutationObserver !== 'function') {
+                return;
+            }
+
+            this._observer = new MutationObserver(this._handle_mutations.bind(this));
+            this._observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true
+            });
+        },
+
+        /**
+         * Stop observing the document.
+         *
+         * @returns {void}
+         */
+        disconnect: function () {
+
+            if (this._observer) {
+                this._observer.disconnect();
+                this._observer = null;
+            }
+        },
+
+        /**
+         * Process DOM mutations from the observer.
+         *
+         * @param {Array<MutationRecord>} mutations
+         *
+         * @returns {void}
+         */
+        _handle_mutations: function (mutations) {
+
+            let has_removed = false;
+
+            for (let i = 0; i < mutations.length; i++) {
+
+                if (this._is_ui_mutation(mutations[i])) {
+                    continue;
+                }
+
+                const added = mutations[i].addedNodes;
+
+                for (let j = 0; j < added.length; j++) {
+                    if (added[j] instanceof HTMLElement && added[j].isConnected) {
+                        this.scan(added[j]);
+                    }
+                }
+
+                if (mutations[i].removedNodes.length) {
+                    has_removed = true;
+                }
+            }
+
+            if (!has_removed) {
+                return;
+            }
+
+            // Elements moved within the document are still connected and keep their instance.
+            // Instances from init() may live on detached elements.
+            for (const id in this._instances) {
+                if (this._instances[id]._is_declarative && !this._instances[id].element.isConnected) {
+                    this._instances[id].destroy();
+                }
+            }
+        },
+
+        /**
+         * Check whether a mutation only concerns elements created by Luggest:
+         * it happened within one of them, or only added or removed them.
+         *
+         * @param {MutationRecord} mutation
+         *
+         * @returns {Boolean}
+         */
+        _is_ui_mutation: function (mutation) {
+
+            for (let node = mutation.target; node; node = node.parentNode) {
+                if (this._ui_nodes.has(node)) {
+                    return true;
+                }
+            }
+
+            const ui_nodes = this._ui_nodes;
+            const nodes = Array.prototype.slice.call(mutation.addedNodes)
+                .concat(Array.prototype.slice.call(mutation.removedNodes));
+
+            return nodes.length > 0 && nodes.every(function (node) {
+                return ui_nodes.has(node);
+            });
+        },
+
+        /**
+         * Start declarative initialization unless disabled by `auto_init`.
+         *
+         * @returns {void}
+         */
+        _auto_start: function () {
+
+            if (!this.auto_init) {
+                return;
+            }
+
+            this.scan(document);
+            this.observe();
+        },
+
+        /**
+         * Generate an element ID not used in the document.
+         *
+         * @returns {String}
+         */
+        _generate_id: function () {
+
+            let id;
+
+            do {
+                id = 'luggest-' + (++this._id_counter);
+            } while (document.getElementById(id));
+
+            return id;
+        },
+
+        /**
+         * Read options from `data-luggest-*` attributes, e.g.
+         * data-luggest-min-length="2" becomes { min_length: 2 }.
+         *
+         * Values are parsed as JSON where possible (numbers, booleans, arrays,
+         * objects), otherwise kept as strings. Callback options (on_*, render_*,
+         * group_by, transform_response) name a global function, e.g. "App.on_city_select".
+         *
+         * @param {HTMLElement} element
+         *
+         * @returns {Object}
+         */
+        _read_data_options: function (element) {
+
+            const options = {};
+            const prefix = 'luggest';
+
+            for (const key in element.dataset) {
+
+                // Skip the `data-luggest` marker and unrelated attributes
+                if (key.indexOf(prefix) !== 0 || !/^[A-Z]/.test(key.charAt(prefix.length))) {
+                    continue;
+                }
+
+                const name = key.slice(prefix.length).replace(/[A-Z]/g, function (char) {
+                    return '_' + char.toLowerCase();
+                }).slice(1);
+
+                const raw = element.dataset[key];
+
+                if (/^(on|render)_/.test(name) || name === 'group_by' || name === 'transform_response') {
+
+                    const callback = this._resolve_global(raw);
+
+                    if (typeof callback === 'function') {
+                        options[name] = callback;
+                    } else {
+                        console.error('[Luggest] Global function not found for data-luggest option:', name, raw);
+                    }
+
+                    continue;
+                }
+
+                options[name] = this._parse_data_value(raw);
+            }
+
+            return options;
+        },
+
+        /**
+         * Parse a data attribute value as JSON, falling back to the raw string.
+         *
+         * @param {String} raw
+         *
+         * @returns {*}
+         */
+        _parse_data_value: function (raw) {
+
+            if (!/^\s*([\[{"]|-?\d|true$|false$|null$)/.test(raw)) {
+                return raw;
+            }
+
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                return raw;
+            }
+        },
+
+        /**
+         * Resolve a dotted global path (e.g. "App.handlers.select") on window.
+         *
+         * @param {String} path
+         *
+         * @returns {*}
+         */
+        _resolve_global: function (path) {
+
+            const parts = String(path).split('.');
+            let value = window;
+
+            for (let i = 0; i < parts.length && value != null; i++) {
+                value = value[parts[i]];
+            }
+
+            return value;
+        },
+
+        /**
+         * Resolve DOM element from selector or element reference.
+         *
+         * @param {HTMLElement|string} target
+         *
+         * @returns {HTMLElement|null}
+         */
+        _resolve_element: function (target) {
+
+            if (target instanceof HTMLElement) {
+                return target;
+            }
+
+            if (typeof target === 'string') {
+                return document.querySelector(target);
+            }
+
+            return null;
+        },
+
+        /**
+         * Normalize a single source item into { value, label, metadata, group }.
+         *
+         * @param {*} item
+         *
+         * @returns {{value: string, label: string, metadata: any, group: string|null}}
+         */
+        _normalize_item: function (item) {
+
+            if (item && typeof item === 'object') {
+
+                const value = item.value != null
+                    ? String(item.value)
+                    : (item.label != null ? String(item.label) : '');
+
+                const label = item.label != null
+                    ? String(item.label)
+                    : value;
+
+                const metadata = Object.prototype.hasOwnProperty.call(item, 'metadata')
+                    ? item.metadata
+                    : null;
+
+                const group = item.group != null && item.group !== ''
+                    ? String(item.group)
+                    : null;
+
+                return {
+                    value: value,
+                    label: label,
+                    metadata: metadata,
+                    group: group
+                };
+            }
+
+            const value_str = String(item);
+
+            return {
+                value: value_str,
+                label: value_str,
+                metadata: null,
+                group: null
+            };
+        },
+
+        /**
+         * Copy of an item without search fields (score, matches, is_recent),
+         * as handed to selection, callbacks and events.
+         *
+         * @param {{value: string, label: string, metadata: any, group: string|null}} item
+         *
+         * @returns {{value: string, label: string, metadata: any, group: string|null}}
+         */
+        _plain_item: function (item) {
+
+            return {
+                value: item.value,
+                label: item.label,
+                metadata: item.metadata,
+                group: item.group == null ? null : item.group
+            };
+        },
+
+        /**
+         * Normalize an array of items into standard objects.
+         *
+         * @param {Array} list
+         *
+         * @returns {Array<{value: string, label: string, metadata: any}>}
+         */
+        _normalize_list: function (list) {
+
+            if (!Array.isArray(list)) {
+                return [];
+            }
+
+            const normalized = [];
+
+            for (let i = 0; i < list.length; i++) {
+                normalized.push(this._normalize_item(list[i]));
+            }
+
+            return normalized;
+        },
+
+        /**
+         * Built-in matching strategies, selectable via the `match` option.
+         * Each matcher receives the raw query and text and returns
+         * { score, ranges } or null when the text does not match.
+         * Score is in range (0, 1], higher is better. Ranges are
+         * [start, end) pairs of matched fragments in the original text.
+         *
+         * Custom strategies can be registered here by name.
+         *
+         * @type {Object.<string, Function>}
+         */
+        matchers: {
+
+            /**
+             * Case-insensitive substring match (default).
+             *
+             * @param {String} query
+             * @param {String} text
+             * @param {Array<string>} [locale]
+             *
+             * @returns {{score: number, ranges: Array<Array<number>>}|null}
+             */
+            substring: function (query, text, locale) {
+                return _instance._match_substring(query, text, false, false, locale);
+            },
+
+            /**
+             * Case-insensitive match at the start of the text only.
+             *
+             * @param {String} query
+             * @param {String} text
+             * @param {Array<string>} [locale]
+             *
+             * @returns {{score: number, ranges: Array<Array<number>>}|null}
+             */
+            prefix: function (query, text, locale) {
+
+                const result = _instance._match_substring(query, text, false, false, locale);
+
+                return result && result.ranges[0][0] === 0 ? result : null;
+            },
+
+            /**
+             * Case-insensitive match at the start of any word in the text.
+             *
+             * @param {String} query
+             * @param {String} text
+             * @param {Array<string>} [locale]
+             *
+             * @returns {{score: number, ranges: Array<Array<number>>}|null}
+             */
+            word: function (query, text, locale) {
+                return _instance._match_substring(query, text, false, true, locale);
+            },
+
+            /**
+             * Case- and accent-insensitive substring match ("plzen" finds "Plzeň").
+             *
+             * @param {String} query
+             * @param {String} text
+             * @param {Array<string>} [locale]
+             *
+             * @returns {{score: number, ranges: Array<Array<number>>}|null}
+             */
+            accent: function (query, text, locale) {
+                return _instance._match_substring(query, text, true, false, locale);
+            },
+
+            /**
+             * Accent-insensitive fuzzy match. Tries a plain substring first,
+             * then an in-order subsequence ("prg" finds "Prague") and finally
+             * an approximate match tolerating typos ("pargue" finds "Prague").
+             *
+             * @param {String} query
+             * @param {String} text
+             * @param {Array<string>} [locale]
+             *
+             * @returns {{score: number, ranges: Array<Array<number>>}|null}
+             */
+            fuzzy: function (query, text, locale) {
+
+                return _instance._match_substring(query, text, true, false, locale)
+                    || _instance._match_subsequence(query, text, locale)
+                    || _instance._match_approximate(query, text, locale);
+            }
+        },
+
+        /**
+         * Format a message from `messages` with {name} placeholders replaced by
+         * params. Plural forms are picked by `params.count`: an exact '=N' form
+         * first, then the locale's plural category, then 'other'. Numbers are
+         * formatted for the locale.
+         *
+         * @param {String|Object|Function} message
+         * @param {Object} [params]
+         * @param {Array<string>} [locale]
+         *
+         * @returns {String}
+         */
+        _format_message: function (message, params, locale) {
+
+            const values = params || {};
+            let template = message;
+
+            if (typeof template === 'function') {
+                return String(template(values));
+            }
+
+            if (template && typeof template === 'object') {
+
+                const exact = '=' + values.count;
+
+                if (Object.prototype.hasOwnProperty.call(template, exact)) {
+                    template = template[exact];
+                } else {
+                    const category = this._intl('plural', locale).select(Number(values.count));
+                    template = template[category] != null ? template[category] : template.other;
+                }
+            }
+
+            return String(template == null ? '' : template).replace(/\{(\w+)\}/g, function (placeholder, name) {
+
+                if (!Object.prototype.hasOwnProperty.call(values, name) || values[name] == null) {
+                    return placeholder;
+                }
+
+                return typeof values[name] === 'number'
+                    ? values[name].toLocaleString(locale && locale.length ? locale : undefined)
+                    : String(values[name]);
+            });
+        },
+
+        /**
+         * Compare texts by the collation of locale, ignoring case but not accents
+         * ("IRMAK" equals "ırmak" in Turkish).
+         *
+         * @param {String} a
+         * @param {String} b
+         * @param {Array<string>} [locale]
+         *
+         * @returns {Number} Negative, zero or positive like String.prototype.localeCompare.
+         */
+        _compare_text: function (a, b, locale) {
+            return this._intl('collator', locale).compare(a, b);
+        },
+
+        /**
+         * Cached Intl.Collator (case-insensitive) or Intl.PluralRules for locale.
+         *
+         * @param {String} type 'collator' or 'plural'.
+         * @param {Array<string>} [locale] Empty for the runtime default.
+         *
+         * @returns {Intl.Collator|Intl.PluralRules}
+         */
+        _intl: function (type, locale) {
+
+            const tags = locale && locale.length ? locale : undefined;
+            const key = type + ':' + (tags ? tags.join(',') : '');
+
+            if (!this._intl_cache[key]) {
+                this._intl_cache[key] = type === 'collator'
+                    ? new Intl.Collator(tags, { sensitivity: 'accent' })
+                    : new Intl.PluralRules(tags);
+            }
+
+            return this._intl_cache[key];
+        },
+
+        /**
+         * Fold text for comparison: lowercase (by the rules of locale, e.g. Turkish
+         * dotted I) and optionally strip diacritics. Keeps a map from each folded
+         * character to its index in the original text.
+         *
+         * Matching searches folded text rather than using Intl.Collator, which
+         * compares whole strings but cannot find substrings or report match ranges
+         * for highlighting. Collation orders results with equal scores instead.
+         *
+         * @param {String} text
+         * @param {Boolean} strip_accents
+         * @param {Array<string>} [locale]
+         *
+         * @returns {{text: string, map: Array<number>}}
+         */
+        _fold: function (text, strip_accents, locale) {
+
+            let folded = '';
+            const map = [];
+            const has_locale = !!(locale && locale.length);
+
+            for (let i = 0; i < text.length; i++) {
+
+                let char = has_locale ? text.charAt(i).toLocaleLowerCase(locale) : text.charAt(i).toLowerCase();
+
+                if (strip_accents) {
+                    char = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+                }
+
+                for (let j = 0; j < char.length; j++) {
+                    folded += char.charAt(j);
+                    map.push(i);
+                }
+            }
+
+            return {
+                text: folded,
+                map: map
+            };
+        },
+
+        /**
+         * Map a [start, end) range in folded text back to the original text.
+         * Trailing combining marks are included so accented characters stay whole.
+         *
+         * @param {{text: string, map: Array<number>}} folded
+         * @param {String} text Original text
+         * @param {Number} start
+         * @param {Number} end
+         *
+         * @returns {Array<number>}
+         */
+        _unfold_range: function (folded, text, start, end) {
+
+            const original_start = folded.map[start];
+            let original_end = folded.map[end - 1] + 1;
+
+            while (original_end < text.length && /[\u0300-\u036f]/.test(text.charAt(original_end))) {
+                original_end++;
+            }
+
+            return [original_start, original_end];
+        },
+
+        /**
+         * Check whether folded position starts a word.
+         *
+         * @param {String} text Folded text
+         * @param {Number} index
+         *
+         * @returns {Boolean}
+         */
+        _is_word_start: function (text, index) {
+            return index === 0 || !/[\p{L}\p{N}]/u.test(text.charAt(index - 1));
+        },
+
+        /**
+         * Substring match shared by the substring, prefix, word and accent matchers.
+         * Occurrences at the start of the text or of a word score higher.
+         *
+         * @param {String} query
+         * @param {String} text
+         * @param {Boolean} strip_accents
+         * @param {Boolean} word_start_only
+         * @param {Array<string>} [locale]
+         *
+         * @returns {{score: number, ranges: Array<Array<number>>}|null}
+         */
+        _match_substring: function (query, text, strip_accents, word_start_only, locale) {
+
+            const needle = this._fold(query, strip_accents, locale).text;
+            const haystack = this._fold(text, strip_accents, locale);
+
+            if (!needle.length) {
+                return null;
+            }
+
+            let index = haystack.text.indexOf(needle);
+            let first_index = -1;
+
+            while (index !== -1 && !this._is_word_start(haystack.text, index)) {
+
+                if (first_index === -1) {
+                    first_index = index;
+                }
+
+                index = haystack.text.indexOf(needle, index + 1);
+            }
+
+            let base;
+
+            if (index === -1) {
+
+                if (word_start_only || first_index === -1) {
+                    return null;
+                }
+
+                index = first_index;
+                base = 0.4;
+
+            } else if (index === 0) {
+                base = needle.length === haystack.text.length ? 1 : 0.8;
+            } else {
+                base = 0.6;
+            }
+
+            // Shorter texts rank above longer ones with the same kind of match
+            const score = base === 1 ? 1 : base + 0.1 * (needle.length / haystack.text.length);
+
+            return {
+                score: score,
+                ranges: [this._unfold_range(haystack, text, index, index + needle.length)]
+            };
+        },
+
+        /**
+         * Accent-insensitive in-order subsequence match.
+         *
+         * @param {String} query
+         * @param {String} text
+         * @param {Array<string>} [locale]
+         *
+         * @returns {{score: number, ranges: Array<Array<number>>}|null}
+         */
+        _match_subsequence: function (query, text, locale) {
+
+            const needle = this._fold(query, true, locale).text.replace(/\s+/g, '');
+            const haystack = this._fold(text, true, locale);
+
+            if (!needle.length) {
+                return null;
+            }
+
+            const positions = [];
+            let from = 0;
+
+            for (let i = 0; i < needle.length; i++) {
+
+                const position = haystack.text.indexOf(needle.charAt(i), from);
+
+                if (position === -1) {
+                    return null;
+                }
+
+                positions.push(position);
+                from = position + 1;
+            }
+
+            const ranges = [];
+            let word_starts = 0;
+
+            for (let i = 0; i < positions.length; i++) {
+
+                if (this._is_word_start(haystack.text, positions[i])) {
+                    word_starts++;
+                }
+
+                const last = ranges[ranges.length - 1];
+
+                if (last && last[1] === positions[i]) {
+                    last[1]++;
+                } else {
+                    ranges.push([positions[i], positions[i] + 1]);
+                }
+            }
+
+            const span = positions[positions.length - 1] - positions[0] + 1;
+            const compactness = needle.length / span;
+            const score = 0.15 + 0.1 * compactness + 0.1 * (word_starts / needle.length);
+
+            const self = this;
+
+            return {
+                score: score,
+                ranges: ranges.map(function (range) {
+                    return self._unfold_range(haystack, text, range[0], range[1]);
+                })
+            };
+        },
+
+        /**
+         * Accent-insensitive approximate substring match using edit distance.
+         * Up to one typo is tolerated for queries of 3+ characters, two for 6+.
+         *
+         * @param {String} query
+         * @param {String} text
+         * @param {Array<string>} [locale]
+         *
+         * @returns {{score: number, ranges: Array<Array<number>>}|null}
+         */
+        _match_approximate: function (query, text, locale) {
+
+            const needle = this._fold(query, true, locale).text;
+            const haystack = this._fold(text, true, locale);
+
+            const max_distance = needle.length >= 6 ? 2 : (needle.length >= 3 ? 1 : 0);
+
+            if (!max_distance || !haystack.text.length) {
+                return null;
+            }
+
+            const n = haystack.text.length;
+
+            // Distance and match start for each end position in the previous row
+            let previous = [];
+            let previous_start = [];
+
+            for (let j = 0; j <= n; j++) {
+                previous.push(0);
+                previous_start.push(j);
+            }
+
+            for (let i = 1; i <= needle.length; i++) {
+
+                const current = [i];
+                const current_start = [0];
+
+                for (let j = 1; j <= n; j++) {
+
+                    const cost = needle.charAt(i - 1) === haystack.text.charAt(j - 1) ? 0 : 1;
+
+                    let distance = previous[j - 1] + cost;
+                    let start = previous_start[j - 1];
+
+                    if (previous[j] + 1 < distance) {
+                        distance = previous[j] + 1;
+                        start = previous_start[j];
+                    }
+
+                    if (current[j - 1] + 1 < distance) {
+                        distance = current[j - 1] + 1;
+                        start = current_start[j - 1];
+                    }
+
+                    current.push(distance);
+                    current_start.push(start);
+                }
+
+                previous = current;
+                previous_start = current_start;
+            }
+
+            let best_end = -1;
+
+            for (let j = 1; j <= n; j++) {
+                if (best_end === -1 || previous[j] < previous[best_end]) {
+                    best_end = j;
+                }
+            }
+
+            const distance = previous[best_end];
+            const best_start = previous_start[best_end];
+
+            if (distance > max_distance || best_start >= best_end) {
+                return null;
+            }
+
+            return {
+                score: 0.05 + 0.1 * (1 - distance / (max_distance + 1)),
+                ranges: [this._unfold_range(haystack, text, best_start, best_end)]
+            };
+        },
+
+        /**
+         * Resolve the `match` option into an item matcher function (query, item).
+         * Strategy names refer to text matchers in `matchers`, which are tested
+         * against both label and value (only label ranges are kept). Custom
+         * functions get (query, item, locale) and may return a boolean, a numeric
+         * score or a { score, ranges } object.
+         *
+         * @param {String|Function} [match]
+         * @param {Array<string>} [locale] Locale for case folding.
+         *
+         * @returns {Function}
+         */
+        _resolve_matcher: function (match, locale) {
+
+            if (typeof match === 'function') {
+                return function (query, item) {
+                    return _instance._normalize_match_result(match(query, item, locale || []));
+                };
+            }
+
+            let text_matcher = this.matchers.substring;
+
+            if (typeof match === 'string' && typeof this.matchers[match] === 'function') {
+                text_matcher = this.matchers[match];
+            } else if (match != null) {
+                console.error('[Luggest] Unknown match strategy, falling back to "substring":', match);
+            }
+
+            return function (query, item) {
+
+                const label_match = _instance._normalize_match_result(text_matcher(query, item.label || '', locale));
+                const value_match = item.value !== item.label
+                    ? _instance._normalize_match_result(text_matcher(query, item.value || '', locale))
+                    : null;
+
+                if (value_match && (!label_match || value_match.score > label_match.score)) {
+                    return { score: value_match.score, ranges: [] };
+                }
+
+                return label_match;
+            };
+        },
+
+        /**
+         * Normalize a matcher return value into { score, ranges } or null.
+         *
+         * @param {*} result
+         *
+         * @returns {{score: number, ranges: Array<Array<number>>}|null}
+         */
+        _normalize_match_result: function (result) {
+
+            if (!result) {
+                return null;
+            }
+
+            if (result === true) {
+                return { score: 1, ranges: [] };
+            }
+
+            if (typeof result === 'number') {
+                return result > 0 ? { score: result, ranges: [] } : null;
+            }
+
+            return {
+                score: typeof result.score === 'number' ? result.score : 1,
+                ranges: Array.isArray(result.ranges) ? result.ranges : []
+            };
+        },
+
+        /**
+         * Sort, clamp and merge overlapping [start, end) ranges.
+         *
+         * @param {Array<Array<number>>} ranges
+         * @param {Number} length Length of the text the ranges refer to.
+         *
+         * @returns {Array<Array<number>>}
+         */
+        _merge_ranges: function (ranges, length) {
+
+            const sorted = ranges
+                .map(function (range) {
+                    return [Math.max(0, range[0]), Math.min(length, range[1])];
+                })
+                .filter(function (range) {
+                    return range[0] < range[1];
+                })
+                .sort(function (a, b) {
+                    return a[0] - b[0];
+                });
+
+            const merged = [];
+
+            for (let i = 0; i < sorted.length; i++) {
+
+                const last = merged[merged.length - 1];
+
+                if (last && sorted[i][0] <= last[1]) {
+                    last[1] = Math.max(last[1], sorted[i][1]);
+                } else {
+                    merged.push(sorted[i]);
+                }
+            }
+
+            return merged;
+        },
+
+        /**
+         * Filter normalized items by query and sort them best-first.
+         * Returned items are copies extended with `score` and `matches` (label ranges).
+         * Items with equal score are sorted by label in the collation of locale.
+         *
+         * @param {Array<{value: string, label: string, metadata: any}>} list
+         * @param {String} query
+         * @param {Function} matcher Item matcher from `_resolve_matcher`.
+         * @param {Array<string>} [locale]
+         *
+         * @returns {Array<{value: string, label: string, metadata: any, score: number, matches: Array<Array<number>>}>}
+         */
+        _filter_list: function (list, query, matcher, locale) {
+
+            const self = this;
+            const results = [];
+
+            for (let i = 0; i < list.length; i++) {
+
+                const result = matcher(query, list[i]);
+
+                if (result) {
+                    results.push(Object.assign({}, list[i], {
+                        score: result.score,
+                        matches: result.ranges
+                    }));
+                }
+            }
+
+            results.sort(function (a, b) {
+                return b.score - a.score || self._compare_text(a.label, b.label, locale);
+            });
+
+            return results;
+        },
+
+        /**
+         * Search index engine: n-gram index over folded (lowercase, accent-free)
+         * labels and values, plus a word-start index for queries shorter than the
+         * n-gram. Self-contained (no outside references), so the same code runs
+         * in a Web Worker.
+         *
+         * Queries return indices of the top `limit` items containing the folded
+         * query, ranked: label starts with query, a label word starts with it,
+         * label contains it, only value contains it; then shorter labels first,
+         * then source order.
+         *
+         * @param {Array<string>} [locale] Locale for case folding.
+         *
+         * @returns {{build: Function, add: Function, query: Function}}
+         */
+        _index_engine: function (locale) {
+
+            const gram_size = 3;
+            const texts = [];
+            const label_lengths = [];
+            const has_locale = !!(locale && locale.length);
+            let grams = new Map();
+            let word_starts = new Map();
+
+            function fold(text) {
+                const lower = has_locale ? String(text).toLocaleLowerCase(locale) : String(text).toLowerCase();
+                return lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            }
+
+            function is_word_start(text, position) {
+                return position === 0 || !/[\p{L}\p{N}]/u.test(text.charAt(position - 1));
+            }
+
+            function push(map, key, index) {
+
+                let list = map.get(key);
+
+                if (!list) {
+                    list = [];
+                    map.set(key, list);
+                }
+
+                if (list[list.length - 1] !== index) {
+                    list.push(index);
+                }
+            }
+
+            function add(item) {
+
+                const index = texts.length;
+                const label = fold(item.label);
+                const text = label + '\u0000' + fold(item.value);
+
+                texts.push(text);
+                label_lengths.push(label.length);
+
+                for (let i = 0; i + gram_size <= text.length; i++) {
+                    push(grams, text.substr(i, gram_size), index);
+                }
+
+                for (let i = 0; i < text.length; i++) {
+                    if (is_word_start(text, i)) {
+                        for (let length = 1; length < gram_size && i + length <= text.length; length++) {
+                            push(word_starts, text.substr(i, length), index);
+                        }
+                    }
+                }
+            }
+
+            function build(items) {
+
+                texts.length = 0;
+                label_lengths.length = 0;
+                grams = new Map();
+                word_starts = new Map();
+
+                for (let i = 0; i < items.length; i++) {
+                    add(items[i]);
+                }
+            }
+
+            // Intersection of two ascending index lists
+            function intersect(a, b) {
+
+                const result = [];
+                let i = 0;
+                let j = 0;
+
+                while (i < a.length && j < b.length) {
+                    if (a[i] === b[j]) {
+                        result.push(a[i]);
+                        i++;
+                        j++;
+                    } else if (a[i] < b[j]) {
+                        i++;
+                    } else {
+                        j++;
+                    }
+                }
+
+                return result;
+            }
+
+            function compare(a, b) {
+                return (a.kind - b.kind) || (a.length - b.length) || (a.index - b.index);
+            }
+
+            function query(raw_query, limit) {
+
+                const term = fold(raw_query);
+
+                if (term === '') {
+
+                    const indices = [];
+
+                    for (let i = 0; i < texts.length && i < limit; i++) {
+                        indices.push(i);
+                    }
+
+                    return { indices: indices, candidates: texts.length };
+                }
+
+                const lists = [];
+
+                if (term.length < gram_size) {
+                    lists.push(word_starts.get(term) || []);
+                } else {
+                    for (let i = 0; i + gram_size <= term.length; i++) {
+                        lists.push(grams.get(term.substr(i, gram_size)) || []);
+                    }
+                }
+
+                lists.sort(function (a, b) {
+                    return a.length - b.length;
+                });
+
+                let candidates = lists[0];
+
+                for (let i = 1; i < lists.length && candidates.length; i++) {
+                    candidates = intersect(candidates, lists[i]);
+                }
+
+                // Keep only the best `limit` candidates, sorted (no full sort)
+                const top = [];
+
+                for (let i = 0; i < candidates.length; i++) {
+
+                    const index = candidates[i];
+                    const position = texts[index].indexOf(term);
+
+                    if (position < 0) {
+                        continue;
+                    }
+
+                    const length = label_lengths[index];
+
+                    let kind = 3;
+
+                    if (position === 0) {
+                        kind = 0;
+                    } else if (position < length) {
+                        kind = is_word_start(texts[index], position) ? 1 : 2;
+                    }
+
+                    const entry = { index: index, kind: kind, length: length };
+
+                    if (top.length >= limit && compare(entry, top[top.length - 1]) >= 0) {
+                        continue;
+                    }
+
+                    let low = 0;
+                    let high = top.length;
+
+                    while (low < high) {
+
+                        const middle = (low + high) >> 1;
+
+                        if (compare(top[middle], entry) <= 0) {
+                            low = middle + 1;
+                        } else {
+                            high = middle;
+                        }
+                    }
+
+                    top.splice(low, 0, entry);
+
+                    if (top.length > limit) {
+                        top.pop();
+                    }
+                }
+
+                return {
+                    indices: top.map(function (entry) {
+                        return entry.index;
+                    }),
+                    candidates: candidates.length
+                };
+            }
+
+            return {
+                build: build,
+                add: add,
+                query: query
+            };
+        },
+
+        /**
+         * Create a search index over normalized items, built once. With `use_worker`
+         * the index lives in a Web Worker; where workers are unavailable (or fail)
+         * it is built on the main thread. Items added later must be pushed to
+         * `items` and passed to add().
+         *
+         * @param {Array<{value: string, label: string, metadata: any}>} items
+         * @param {Boolean} use_worker
+         * @param {Function} [on_stats] Called with build and query statistics.
+         * @param {Array<string>} [locale] Locale for case folding.
+         *
+         * @returns {{search: Function, add: Function, destroy: Function}}
+         */
+        _create_index: function (items, use_worker, on_stats, locale) {
+
+            const self = this;
+            const pending = new Map();
+
+            let engine = null;
+            let worker = null;
+            let worker_url = null;
+            let next_id = 0;
+
+            function now() {
+                return typeof performance !== 'undefined' ? performance.now() : Date.now();
+            }
+
+            function report(stats) {
+                if (on_stats) {
+                    on_stats(stats);
+                }
+            }
+
+            function pick(indices) {
+                return indices.map(function (index) {
+                    return items[index];
+                });
+            }
+
+            function query_sync(query, limit) {
+
+                const start = now();
+                const result = engine.query(query, limit);
+
+                report({ type: 'query', query: query, candidates: result.candidates, results: result.indices.length, time: now() - start, worker: false });
+
+                return pick(result.indices);
+            }
+
+            function build_sync() {
+
+                const start = now();
+
+                engine = self._index_engine(locale);
+                engine.build(items);
+
+                report({ type: 'build', items: items.length, time: now() - start, worker: false });
+            }
+
+            function stop_worker() {
+
+                if (worker) {
+                    worker.terminate();
+                    worker = null;
+                }
+
+                if (worker_url) {
+                    URL.revokeObjectURL(worker_url);
+                    worker_url = null;
+                }
+            }
+
+            // Worker failed (e.g. blocked by CSP): continue on the main thread
+            function fall_back() {
+
+                stop_worker();
+                build_sync();
+
+                pending.forEach(function (request) {
+                    request.resolve(query_sync(request.query, request.limit));
+                });
+
+                pending.clear();
+            }
+
+            function plain(item) {
+                return { label: item.label, value: item.value };
+            }
+
+            const can_use_worker = use_worker && typeof Worker === 'function' && typeof Blob === 'function'
+                && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+
+            if (can_use_worker) {
+
+                const code = 'var engine = (' + this._index_engine.toString() + ')(' + JSON.stringify(locale || []) + ');\n'
+                    + 'var now = function () { return typeof performance !== "undefined" ? performance.now() : Date.now(); };\n'
+                    + 'self.onmessage = function (event) {\n'
+                    + '    var data = event.data, start = now(), result;\n'
+                    + '    if (data.type === "build") {\n'
+                    + '        engine.build(data.items);\n'
+                    + '        self.postMessage({ type: "build", items: data.items.length, time: now() - start });\n'
+                    + '    } else if (data.type === "add") {\n'
+                    + '        engine.add(data.item);\n'
+                    + '    } else if (data.type === "query") {\n'
+                    + '        result = engine.query(data.query, data.limit);\n'
+                    + '        self.postMessage({ type: "query", id: data.id, indices: result.indices, candidates: result.candidates, time: now() - start });\n'
+                    + '    }\n'
+                    + '};\n';
+
+                try {
+                    worker_url = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+                    worker = new Worker(worker_url);
+                } catch (error) {
+                    stop_worker();
+                }
+            }
+
+            if (worker) {
+
+                worker.onmessage = function (event) {
+
+                    const data = event.data;
+
+                    if (data.type === 'build') {
+                        report({ type: 'build', items: data.items, time: data.time, worker: true });
+                        return;
+                    }
+
+                    const request = pending.get(data.id);
+
+                    if (!request) {
+                        return;
+                    }
+
+                    pending.delete(data.id);
+
+                    report({ type: 'query', query: request.query, candidates: data.candidates, results: data.indices.length, time: data.time, worker: true });
+
+                    request.resolve(pick(data.indices));
+                };
+
+                worker.onerror = function (event) {
+                    event.preventDefault();
+                    fall_back();
+                };
+
+                worker.postMessage({ type: 'build', items: items.map(plain) });
+
+            } else {
+                build_sync();
+            }
+
+            return {
+
+                search: function (query, limit) {
+
+                    // Without engine the worker index was destroyed
+                    if (!worker) {
+                        return Promise.resolve(engine ? query_sync(query || '', limit) : []);
+                    }
+
+                    return new Promise(function (resolve) {
+
+                        const id = ++next_id;
+
+                        pending.set(id, { resolve: resolve, query: query || '', limit: limit });
+                        worker.postMessage({ type: 'query', id: id, query: query || '', limit: limit });
+                    });
+                },
+
+                add: function (item) {
+
+                    if (worker) {
+                        worker.postMessage({ type: 'add', item: plain(item) });
+                    } else {
+                        engine.add(item);
+                    }
+                },
+
+                destroy: function () {
+
+                    stop_worker();
+
+                    // Settle queries still waiting for the worker
+                    pending.forEach(function (request) {
+                        request.resolve([]);
+                    });
+
+                    pending.clear();
+                }
+            };
+        },
+
+        /**
+         * Fetch and filter source items for a given query.
+         * Supports array source, URL returning JSON, function (query, context)
+         * and adapter object with search(query, context).
+         * Rejects when a remote request fails, is aborted or returns invalid JSON.
+         *
+         * @param {Array|string|Function|Object} source
+         * @param {String} query
+         * @param {Array|null} [normalized_array_source]
+         * @param {Object} [options] Instance options (match, request, transform_response, cache, paging).
+         * @param {Object} [context] Search context passed to function sources.
+         * @param {AbortSignal} [context.signal] Signal aborting a remote request.
+         * @param {Number} [context.page] Page to load when paging is enabled (default 1).
+         * @param {Object} [context.depends] Values of fields from `depends_on`: request
+         *        parameters of URL sources, passed to `filter` for array sources.
+         *
+         * @returns {Promise<{items: Array<{value: string, label: string, metadata: any}>, has_more: boolean}>}
+         */
+        _resolve_source: function (source, query, normalized_array_source, options, context) {
+
+            const term = query || '';
+            const settings = options || {};
+            const search_context = context || {};
+            const signal = search_context.signal;
+            const page = search_context.page;
+            const depends = search_context.depends || {};
+
+            // Array source (already normalized)
+            if (Array.isArray(source)) {
+
+                const list = this._apply_filter(Array.isArray(normalized_array_source)
+                    ? normalized_array_source
+                    : this._normalize_list(source), settings.filter, depends);
+
+                return Promise.resolve({
+                    items: term ? this._filter_list(list, term, settings.match || this._resolve_matcher(), settings.locale) : list,
+                    has_more: false
+                });
+            }
+
+            // URL source
+            if (typeof source === 'string' && source.length > 0) {
+
+                const paging = settings.paging || null;
+                const page_number = page || 1;
+
+                const request = this._build_request(source, term, settings.request, Object.assign({}, depends, this._paging_params(paging, page_number)));
+                const cache = settings.cache || null;
+                const cache_key = this._request_cache_key(request);
+
+                if (cache) {
+
+                    const cached = cache.store.get(cache_key);
+
+                    if (cached) {
+                        cache.keys.add(cache_key);
+                        return Promise.resolve(cached);
+                    }
+
+                    const broader = cache.reuse_broader && page_number === 1
+                        ? this._find_broader_cached(source, term, settings, depends)
+                        : null;
+
+                    if (broader) {
+                        return Promise.resolve(broader);
+                    }
+                }
+
+                if (signal) {
+                    request.init.signal = signal;
+                }
+
+                return fetch(request.url, request.init)
+                    .then(function (response) {
+
+                        if (!response.ok) {
+                            throw new Error('Request failed with status ' + response.status);
+                        }
+
+                        return response.json().then(function (data) {
+                            return { data: data, response: response };
+                        });
+                    })
+                    .then(function (response_result) {
+
+                        const data = typeof settings.transform_response === 'function'
+                            ? settings.transform_response(response_result.data, response_result.response)
+                            : response_result.data;
+
+                        const result = _instance._read_page(data, paging, page_number);
+
+                        if (cache) {
+                            cache.store.set(cache_key, result);
+                            cache.keys.add(cache_key);
+                        }
+
+                        return result;
+                    });
+            }
+
+            // Function or adapter source
+            if (typeof source === 'function' || (source && typeof source.search === 'function')) {
+
+                const page_context = Object.assign({}, search_context, { page: page || 1 });
+
+                return Promise.resolve()
+                    .then(function () {
+                        return typeof source === 'function'
+                            ? source(term, page_context)
+                            : source.search(term, page_context);
+                    })
+                    .then(function (data) {
+                        return _instance._read_page(data, settings.paging || null, page_context.page);
+                    });
+            }
+
+            return Promise.resolve({ items: [], has_more: false });
+        },
+
+        /**
+         * Keep array source items accepted by the `filter` option.
+         *
+         * @param {Array<{value: string, label: string, metadata: any}>} list
+         * @param {Function|null} filter Called with (item, depends).
+         * @param {Object} depends Values of fields from `depends_on`.
+         *
+         * @returns {Array<{value: string, label: string, metadata: any}>}
+         */
+        _apply_filter: function (list, filter, depends) {
+
+            if (typeof filter !== 'function') {
+                return list;
+            }
+
+            return list.filter(function (item) {
+                return filter(item, depends);
+            });
+        },
+
+        /**
+         * Search an indexed array source. The index finds the top results
+         * (accent-insensitive) accepted by `filter`; they are scored and highlighted
+         * by the `match` strategy, or by the accent-insensitive one for results it rejects.
+         *
+         * @param {Object} index Index from `_create_index`.
+         * @param {String} query
+         * @param {Object} options Instance options (match, index, filter).
+         * @param {Object} [context] Search context (depends).
+         *
+         * @returns {Promise<{items: Array, has_more: boolean}>}
+         */
+        _search_index: function (index, query, options, context) {
+
+            const self = this;
+            const fallback = this._resolve_matcher('accent', options.locale);
+
+            const matcher = function (term, item) {
+                return options.match(term, item) || fallback(term, item) || { score: 0, ranges: [] };
+            };
+
+            const limit = options.index.limit;
+            const depends = (context && context.depends) || {};
+
+            // The index cuts results to the top `size` before `filter` runs:
+            // ask for more until `limit` of them pass or the index has no more
+            function find(size) {
+
+                return index.search(query, size).then(function (results) {
+
+                    const list = self._apply_filter(results, options.filter, depends);
+
+                    if (list.length < limit && results.length >= size) {
+                        return find(size * 4);
+                    }
+
+                    return list.slice(0, limit);
+                });
+            }
+
+            return find(limit).then(function (list) {
+                return {
+                    items: query ? self._filter_list(list, query, matcher, options.locale) : list,
+                    has_more: false
+                };
+            });
+        },
+
+        /**
+         * Check whether an array lists sources rather than items: it is marked by
+         * Luggest.sources(), or every entry is a function, an adapter ({ search })
+         * or a source descriptor ({ source, limit, group }). Entries with a value
+         * or label are items, whatever other fields they carry.
+         *
+         * @param {*} source
+         *
+         * @returns {Boolean}
+         */
+        _is_source_list: function (source) {
+
+            if (!Array.isArray(source)) {
+                return false;
+            }
+
+            if (this._source_lists.has(source)) {
+                return true;
+            }
+
+            const descriptor_keys = ['source', 'limit', 'group'];
+
+            return source.length > 0 && source.every(function (entry) {
+
+                if (typeof entry === 'function') {
+                    return true;
+                }
+
+                if (!entry || typeof entry !== 'object' || Array.isArray(entry)
+                    || 'value' in entry || 'label' in entry) {
+                    return false;
+                }
+
+                if (typeof entry.search === 'function') {
+                    return true;
+                }
+
+                return Object.prototype.hasOwnProperty.call(entry, 'source') && Object.keys(entry).every(function (key) {
+                    return descriptor_keys.indexOf(key) !== -1;
+                });
+            });
+        },
+
+        /**
+         * Prepare the `source` option into a list of source entries.
+         * A source list (see _is_source_list) or any other iterable gives one entry per source;
+         * anything else is a single entry. Array sources are normalized once here.
+         *
+         * @param {*} source
+         *
+         * @returns {Array<{source: *, normalized: Array|null, limit: number|null, group: string|null, index: Object|null}>}
+         */
+        _prepare_sources: function (source) {
+
+            let list;
+
+            if (this._is_source_list(source)) {
+                list = source;
+            } else if (source && typeof source === 'object' && !Array.isArray(source) && typeof source[Symbol.iterator] === 'function') {
+                list = Array.from(source);
+            } else {
+                list = [source];
+            }
+
+            const entries = [];
+
+            for (let i = 0; i < list.length; i++) {
+
+                const entry = list[i];
+
+                // Descriptor { source, limit, group } or adapter { search, limit, group }
+                const is_descriptor = entry && typeof entry === 'object' && !Array.isArray(entry)
+                    && Object.prototype.hasOwnProperty.call(entry, 'source');
+
+                const is_adapter = entry && typeof entry === 'object' && typeof entry.search === 'function';
+                const settings = (is_descriptor || is_adapter) ? entry : {};
+                const entry_source = is_descriptor ? entry.source : entry;
+
+                entries.push({
+                    source: entry_source || [],
+                    normalized: Array.isArray(entry_source) ? this._normalize_list(entry_source) : null,
+                    limit: typeof settings.limit === 'number' ? settings.limit : null,
+                    group: settings.group != null && settings.group !== '' ? String(settings.group) : null,
+                    index: null
+                });
+            }
+
+            return entries;
+        },
+
+        /**
+         * Resolve all source entries and merge their results in source order.
+         * With several sources, items are deduplicated by value (first wins),
+         * per-source limits are applied and the entry group is assigned to
+         * items without one. Fails only when every source fails; otherwise
+         * failures are returned in `errors`. `more` tells per entry whether
+         * it has a next page.
+         *
+         * @param {Array<{source: *, normalized: Array|null, limit: number|null, group: string|null, index: Object|null}>} entries
+         * @param {String} query
+         * @param {Object} options Instance options.
+         * @param {Object} [context] Search context (signal, page, element).
+         *
+         * @returns {Promise<{items: Array, has_more: boolean, more: Array<boolean>, errors: Array<Error>}>}
+         */
+        _resolve_entries: function (entries, query, options, context) {
+
+            const self = this;
+
+            const outcomes = entries.map(function (entry) {
+
+                const resolved = entry.index
+                    ? self._search_index(entry.index, query, options, context)
+                    : self._resolve_source(entry.source, query, entry.normalized, options, context);
+
+                return resolved.then(
+                    function (result) {
+                        return { result: result, error: null };
+                    },
+                    function (error) {
+                        return { result: null, error: error };
+                    }
+                );
+            });
+
+            return Promise.all(outcomes).then(function (settled) {
+
+                const errors = [];
+                const items = [];
+                const seen = new Set();
+                const more = [];
+
+                for (let i = 0; i < settled.length; i++) {
+
+                    more.push(!settled[i].error && !!settled[i].result.has_more);
+
+                    if (settled[i].error) {
+                        errors.push(settled[i].error);
+                        continue;
+                    }
+
+                    const entry = entries[i];
+                    let list = settled[i].result.items;
+
+                    if (entry.limit !== null) {
+                        list = list.slice(0, entry.limit);
+                    }
+
+                    for (let j = 0; j < list.length; j++) {
+
+                        let item = list[j];
+
+                        if (entries.length > 1) {
+
+                            if (seen.has(item.value)) {
+                                continue;
+                            }
+
+                            seen.add(item.value);
+                        }
+
+                        if (entry.group !== null && item.group == null) {
+                            item = Object.assign({}, item, { group: entry.group });
+                        }
+
+                        items.push(item);
+                    }
+                }
+
+                if (errors.length && errors.length === settled.length) {
+                    throw errors[0];
+                }
+
+                return {
+                    items: items,
+                    has_more: more.indexOf(true) !== -1,
+                    more: more,
+                    errors: errors
+                };
+            });
+        },
+
+        /**
+         * Read items from response data: an array or { items, has_more, total }.
+         * Without explicit has_more/total, a full page means more results may follow.
+         *
+         * @param {*} data
+         * @param {Object|null} paging
+         * @param {Number} page
+         *
+         * @returns {{items: Array<{value: string, label: string, metadata: any}>, has_more: boolean}}
+         */
+        _read_page: function (data, paging, page) {
+
+            let list = [];
+            let has_more = null;
+
+            if (Array.isArray(data)) {
+                list = data;
+            } else if (data && Array.isArray(data.items)) {
+
+                list = data.items;
+
+                if (typeof data.has_more === 'boolean') {
+                    has_more = data.has_more;
+                } else if (typeof data.total === 'number' && paging) {
+                    has_more = (page - 1) * paging.page_size + list.length < data.total;
+                }
+            }
+
+            if (has_more === null) {
+                has_more = paging ? list.length >= paging.page_size : false;
+            }
+
+            return {
+                items: this._normalize_list(list),
+                has_more: paging ? has_more : false
+            };
+        },
+
+        /**
+         * Build paging request parameters for given page.
+         *
+         * @param {Object|null} paging
+         * @param {Number} page
+         *
+         * @returns {Object}
+         */
+        _paging_params: function (paging, page) {
+
+            const params = {};
+
+            if (!paging) {
+                return params;
+            }
+
+            if (paging.page_param) {
+                params[paging.page_param] = page;
+            }
+
+            if (paging.offset_param) {
+                params[paging.offset_param] = (page - 1) * paging.page_size;
+            }
+
+            if (paging.size_param) {
+                params[paging.size_param] = paging.page_size;
+            }
+
+            return params;
+        },
+
+        /**
+         * Resolve the `paging` option. Plain item arrays are never paged.
+         *
+         * @param {Boolean|Object} paging
+         * @param {*} source
+         * @param {Number} max_results Default page size.
+         *
+         * @returns {{page_size: number, page_param: string|null, offset_param: string|null, size_param: string|null}|null}
+         */
+        _resolve_paging: function (paging, source, max_results) {
+
+            if (!paging || (Array.isArray(source) && !this._is_source_list(source))) {
+                return null;
+            }
+
+            const settings = paging === true ? {} : paging;
+
+            return {
+                page_size: typeof settings.page_size === 'number' && settings.page_size > 0 ? settings.page_size : max_results,
+                page_param: settings.page_param !== undefined ? settings.page_param : 'page',
+                offset_param: settings.offset_param || null,
+                size_param: settings.size_param || null
+            };
+        },
+
+        /**
+         * Build fetch URL and init for a remote source.
+         *
+         * The `request` option is an object or a function (query, url) returning one:
+         * - url: override request URL
+         * - method: HTTP method (default GET)
+         * - query_param: name of the query parameter (default "term")
+         * - params: extra parameters; function values are evaluated per request
+         * - headers: extra headers; function values are evaluated per request
+         * - body: request body for non-GET methods; plain objects are sent as JSON.
+         *   Defaults to JSON of query and params.
+         * - credentials: fetch credentials mode (default "same-origin")
+         *
+         * With GET the query and params are appended to the URL.
+         *
+         * @param {String} url
+         * @param {String} query
+         * @param {Object|Function} [request]
+         * @param {Object} [extra_params] Additional parameters (e.g. paging).
+         *
+         * @returns {{url: string, init: Object}}
+         */
+        _build_request: function (url, query, request, extra_params) {
+
+            const settings = (typeof request === 'function' ? request(query, url) : request) || {};
+
+            const method = (settings.method || 'GET').toUpperCase();
+            const query_param = settings.query_param || 'term';
+
+            const params = {};
+            params[query_param] = query;
+            Object.assign(params, extra_params, this._evaluate_values(settings.params));
+
+            const headers = Object.assign({
+                'Accept': 'application/json'
+            }, this._evaluate_values(settings.headers));
+
+            let request_url = settings.url || url;
+
+            const init = {
+                method: method,
+                credentials: settings.credentials || 'same-origin',
+                headers: headers
+            };
+
+            if (method === 'GET' || method === 'HEAD') {
+
+                const pairs = [];
+
+                for (const name in params) {
+                    if (params[name] != null) {
+                        pairs.push(encodeURIComponent(name) + '=' + encodeURIComponent(params[name]));
+                    }
+                }
+
+                if (pairs.length) {
+                    request_url += (request_url.indexOf('?') !== -1 ? '&' : '?') + pairs.join('&');
+                }
+
+            } else {
+
+                let body = settings.body !== undefined ? settings.body : params;
+
+                if (typeof body === 'function') {
+                    body = body(query, params);
+                }
+
+                if (body && Object.prototype.toString.call(body) === '[object Object]') {
+                    body = JSON.stringify(body);
+                    headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+                }
+
+                init.body = body;
+            }
+
+            return {
+                url: request_url,
+                init: init
+            };
+        },
+
+        /**
+         * Build cache key identifying a remote request.
+         *
+         * @param {{url: string, init: Object}} request
+         *
+         * @returns {String}
+         */
+        _request_cache_key: function (request) {
+
+            const body = typeof request.init.body === 'string' ? request.init.body : '';
+
+            return request.init.method + ' ' + request.url + ' ' + body;
+        },
+
+        /**
+         * Find cached results of a shorter query (prefix of the current one)
+         * and filter them locally with the instance matcher. Only complete
+         * results (no further pages) are reused.
+         *
+         * @param {String} url
+         * @param {String} query
+         * @param {Object} options Instance options.
+         * @param {Object} [extra_params] Additional request parameters (e.g. `depends_on` values).
+         *
+         * @returns {{items: Array<{value: string, label: string, metadata: any}>, has_more: boolean}|null}
+         */
+        _find_broader_cached: function (url, query, options, extra_params) {
+
+            const params = Object.assign({}, extra_params, this._paging_params(options.paging || null, 1));
+
+            for (let length = query.length - 1; length >= 1; length--) {
+
+                const request = this._build_request(url, query.slice(0, length), options.request, params);
+                const cache_key = this._request_cache_key(request);
+                const cached = options.cache.store.get(cache_key);
+
+                if (cached && !cached.has_more) {
+
+                    options.cache.keys.add(cache_key);
+
+                    return {
+                        items: this._filter_list(cached.items, query, options.match || this._resolve_matcher(), options.locale),
+                        has_more: false
+                    };
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Create a least-recently-used cache with time-to-live.
+         *
+         * @param {Number} max_entries
+         * @param {Number} ttl Entry lifetime in milliseconds (0 = no expiry).
+         *
+         * @returns {{get: Function, set: Function, delete: Function, clear: Function}}
+         */
+        _create_cache: function (max_entries, ttl) {
+
+            const entries = new Map();
+
+            return {
+
+                get: function (key) {
+
+                    const entry = entries.get(key);
+
+                    if (!entry) {
+                        return null;
+                    }
+
+                    if (ttl > 0 && Date.now() - entry.time > ttl) {
+                        entries.delete(key);
+                        return null;
+                    }
+
+                    // Re-insert to mark as most recently used
+                    entries.delete(key);
+                    entries.set(key, entry);
+
+                    return entry.value;
+                },
+
+                set: function (key, value) {
+
+                    entries.delete(key);
+                    entries.set(key, { value: value, time: Date.now() });
+
+                    while (entries.size > max_entries) {
+                        entries.delete(entries.keys().next().value);
+                    }
+                },
+
+                delete: function (key) {
+                    entries.delete(key);
+                },
+
+                clear: function () {
+                    entries.clear();
+                }
+            };
+        },
+
+        /**
+         * Resolve the `cache` option for URL sources.
+         * Shared caches are kept per cache key (the source URL by default),
+         * the first instance's settings win. Without a key the cache is private.
+         * `keys` collects the entries an instance has stored or used, so that it
+         * can drop them without affecting other instances sharing the store.
+         *
+         * @param {Boolean|Object} cache
+         * @param {*} source
+         *
+         * @returns {{store: Object, reuse_broader: boolean, keys: Set<string>}|null}
+         */
+        _resolve_cache: function (cache, source) {
+
+            if (!cache) {
+                return null;
+            }
+
+            const settings = cache === true ? {} : cache;
+
+            const max_entries = typeof settings.max_entries === 'number' ? settings.max_entries : 50;
+            const ttl = typeof settings.ttl === 'number' ? settings.ttl : 60000;
+            const key = settings.key || (typeof source === 'string' ? source : null);
+
+            let store;
+
+            if (settings.shared === false || !key) {
+                store = this._create_cache(max_entries, ttl);
+            } else {
+
+                if (!this._caches[key]) {
+                    this._caches[key] = this._create_cache(max_entries, ttl);
+                }
+
+                store = this._caches[key];
+            }
+
+            return {
+                store: store,
+                reuse_broader: settings.reuse_broader === true,
+                keys: new Set()
+            };
+        },
+
+        /**
+         * Drop the cached entries an instance has stored or used.
+         * Entries of other requests stay in the (possibly shared) store.
+         *
+         * @param {{store: Object, keys: Set<string>}|null} cache Resolved `cache` option.
+         *
+         * @returns {void}
+         */
+        _clear_cache: function (cache) {
+
+            if (!cache) {
+                return;
+            }
+
+            cache.keys.forEach(function (key) {
+                cache.store.delete(key);
+            });
+
+            cache.keys.clear();
+        },
+
+        /**
+         * Copy an object, evaluating function values (e.g. reading other form fields).
+         *
+         * @param {Object|Function|null} values Object or function returning object.
+         *
+         * @returns {Object}
+         */
+        _evaluate_values: function (values) {
+
+            const source = (typeof values === 'function' ? values() : values) || {};
+            const result = {};
+
+            for (const name in source) {
+                if (Object.prototype.hasOwnProperty.call(source, name)) {
+                    result[name] = typeof source[name] === 'function' ? source[name]() : source[name];
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Resolve `locale` option into canonical locale tags. Without it, the
+         * `lang` of the input or its closest ancestor is used; empty for the
+         * runtime default.
+         *
+         * @param {String|Array<string>} [locale]
+         * @param {HTMLElement} [element]
+         *
+         * @returns {Array<string>}
+         */
+        _resolve_locale: function (locale, element) {
+
+            if (locale && locale.length) {
+
+                try {
+                    return Intl.getCanonicalLocales(locale);
+                } catch (error) {
+                    console.error('[Luggest] Invalid locale, using the page language:', locale);
+                }
+            }
+
+            const scope = element && typeof element.closest === 'function' ? element.closest('[lang]') : null;
+            const lang = scope ? scope.getAttribute('lang') : '';
+
+            try {
+                return lang ? Intl.getCanonicalLocales(lang) : [];
+            } catch (error) {
+                return [];
+            }
+        },
+
+        /**
+         * Resolve `history` option into settings or null when disabled.
+         *
+         * @param {Boolean|String|Object} history True, storage key or settings object.
+         *
+         * @returns {{key: string|null, max_items: number, label: string|null}|null}
+         */
+        _resolve_history: function (history) {
+
+            if (!history) {
+                return null;
+            }
+
+            const settings = typeof history === 'object' ? history : {};
+
+            return {
+                key: typeof history === 'string' ? history : (settings.key || null),
+                max_items: typeof settings.max_items === 'number' && settings.max_items > 0 ? settings.max_items : 5,
+                label: typeof settings.label === 'string' ? settings.label : null
+            };
+        },
+
+        /**
+         * Resolve `index` option into settings or null when disabled.
+         *
+         * @param {Boolean|Object} index
+         * @param {Number} max_results
+         *
+         * @returns {{worker: boolean, limit: number}|null}
+         */
+        _resolve_index: function (index, max_results) {
+
+            if (!index) {
+                return null;
+            }
+
+            const settings = index === true ? {} : index;
+
+            return {
+                worker: settings.worker === true,
+                limit: typeof settings.limit === 'number' && settings.limit > 0 ? settings.limit : max_results
+            };
+        },
+
+        /**
+         * Resolve `depends_on` option into a list of named dependencies. An object
+         * maps parameter names to fields; in a list (or single field) the name is
+         * the field's name attribute or id. Fields are resolved when read, so they
+         * may be initialized later.
+         *
+         * @param {Object|Array|String|HTMLElement|null} depends_on Selectors, elements or Luggest instances.
+         *
+         * @returns {Array<{name: string|null, target: *}>}
+         */
+        _resolve_depends_on: function (depends_on) {
+
+            if (!depends_on) {
+                return [];
+            }
+
+            const is_map = typeof depends_on === 'object' && !Array.isArray(depends_on)
+                && !(depends_on instanceof HTMLElement) && typeof depends_on.get_selected !== 'function';
+
+            if (is_map) {
+                return Object.keys(depends_on).map(function (name) {
+                    return { name: name, target: depends_on[name] };
+                });
+            }
+
+            return (Array.isArray(depends_on) ? depends_on : [depends_on]).map(function (target) {
+                return { name: null, target: target };
+            });
+        },
+
+        /**
+         * Read the current value of a `depends_on` field: the selected value(s)
+         * of a Luggest instance, otherwise the field's value.
+         *
+         * @param {String|HTMLElement|Object} target Selector, element or Luggest instance.
+         *
+         * @returns {{element: HTMLElement|null, value: string|Array<string>}}
+         */
+        _read_dependency: function (target) {
+
+            const element = target && typeof target.get_selected === 'function'
+                ? target.element
+                : this._resolve_element(target);
+
+            if (!element) {
+                return { element: null, value: '' };
+            }
+
+            const instance = element.id && this._instances[element.id] && this._instances[element.id].element === element
+                ? this._instances[element.id]
+                : null;
+
+            if (instance && instance.options.multiple) {
+                return {
+                    element: element,
+                    value: instance.get_selected().map(function (item) {
+                        return item.value;
+                    })
+                };
+            }
+
+            if (instance && instance._value_input) {
+                return { element: element, value: instance._value_input.value };
+            }
+
+            return { element: element, value: element.value || '' };
+        },
+
+        /**
+         * Read remembered items from localStorage.
+         *
+         * @param {String} key
+         *
+         * @returns {Array<{value: string, label: string, metadata: any}>}
+         */
+        _read_history: function (key) {
+
+            try {
+
+                const data = JSON.parse(window.localStorage.getItem('luggest:history:' + key) || '[]');
+
+                return Array.isArray(data) ? this._normalize_list(data) : [];
+
+            } catch (error) {
+                // Storage unavailable (privacy mode) or corrupted entry
+                return [];
+            }
+        },
+
+        /**
+         * Store remembered items in localStorage.
+         *
+         * @param {String} key
+         * @param {Array<{value: string, label: string, metadata: any}>} items
+         *
+         * @returns {void}
+         */
+        _write_history: function (key, items) {
+
+            try {
+
+                const data = items.map(function (item) {
+                    return { value: item.value, label: item.label, metadata: item.metadata };
+                });
+
+                window.localStorage.setItem('luggest:history:' + key, JSON.stringify(data));
+
+            } catch (error) {
+                console.error('[Luggest] Could not store history:', error);
+            }
+        },
+
+        /**
+         * Resolve raw init options into instance options with defaults.
+         *
+         * @param {Object} options
+         * @param {HTMLElement} [element] Input, for the default locale.
+         *
+         * @returns {Object}
+         */
+        _resolve_options: function (options, element) {
+
+            const max_results = typeof options.max_results === 'number' ? options.max_results : 20;
+            const locale = this._resolve_locale(options.locale, element);
+
+            return {
+                source: options.source || [],
+                min_length: (typeof options.min_length === 'number' && options.min_length >= 0)
+                    ? options.min_length
+                    : this.default_min_length,
+                on_open: typeof options.on_open === 'function' ? options.on_open : null,
+                on_select: typeof options.on_select === 'function' ? options.on_select : null,
+                max_results: max_results,
+                match: this._resolve_matcher(options.match, locale),
+                highlight: options.highlight === true,
+                render_item: typeof options.render_item === 'function' ? options.render_item : null,
+                render_empty: typeof options.render_empty === 'function' ? options.render_empty : null,
+                render_header: typeof options.render_header === 'function' ? options.render_header : null,
+                render_footer: typeof options.render_footer === 'function' ? options.render_footer : null,
+                group_by: typeof options.group_by === 'function' ? options.group_by : null,
+                max_results_per_group: typeof options.max_results_per_group === 'number' ? options.max_results_per_group : null,
+                multiple: options.multiple === true,
+                input_name: typeof options.input_name === 'string' ? options.input_name : null,
+                on_remove: typeof options.on_remove === 'function' ? options.on_remove : null,
+                request: (options.request && (typeof options.request === 'object' || typeof options.request === 'function'))
+                    ? options.request
+                    : null,
+                transform_response: typeof options.transform_response === 'function' ? options.transform_response : null,
+                delay: (typeof options.delay === 'number' && options.delay > 0) ? options.delay : 0,
+                cache: this._resolve_cache(options.cache, options.source),
+                on_loading: typeof options.on_loading === 'function' ? options.on_loading : null,
+                on_error: typeof options.on_error === 'function' ? options.on_error : null,
+                paging: this._resolve_paging(options.paging, options.source, max_results),
+                append_to: options.append_to || null,
+                max_height: typeof options.max_height === 'number' ? options.max_height : null,
+                value_input: options.value_input || null,
+                value_name: typeof options.value_name === 'string' ? options.value_name : null,
+                strict: options.strict === true,
+                on_invalid: typeof options.on_invalid === 'function' ? options.on_invalid : null,
+                history: this._resolve_history(options.history),
+                pinned: Array.isArray(options.pinned) ? this._normalize_list(options.pinned) : [],
+                inline_completion: options.inline_completion === true,
+                create: (options.create === true || typeof options.create === 'function') ? options.create : null,
+                on_create: typeof options.on_create === 'function' ? options.on_create : null,
+                theme: (options.theme === 'dark' || options.theme === 'auto') ? options.theme : 'light',
+                class_names: Object.assign({}, this.class_names, options.class_names),
+                index: this._resolve_index(options.index, max_results),
+                on_index_stats: typeof options.on_index_stats === 'function' ? options.on_index_stats : null,
+                depends_on: this._resolve_depends_on(options.depends_on),
+                filter: typeof options.filter === 'function' ? options.filter : null,
+                disable_until_parent: options.disable_until_parent === true,
+                locale: locale,
+                messages: Object.assign({}, this.messages, options.messages)
+            };
+        },
+
+        /**
+         * Create a Luggest instance for a specific input element.
+         *
+         * @param {HTMLInputElement} element
+         * @param {Object} options
+         *
+         * @returns {Object}
+         */
+        _create_instance: function (element, options) {
+
+            const core = this;
+
+            const instance = Object.assign(Object.create(core.Instance.prototype), {
+
+                id: element.id,
+                element: element,
+
+                _has_generated_id: false,
+                _is_declarative: false,
+
+                options: core._resolve_options(options, element),
+
+                _raw_options: Object.assign({}, options),
+
+                _container: null,
+                _live_region: null,
+                _list_id: element.id + '-luggest-listbox',
+                _items: [],
+                _visible_items: [],
+                _selected: [],
+                _tags_container: null,
+                _original_name: null,
+                _value_input: null,
+                _has_created_value_input: false,
+                _selected_item: null,
+                _selected_text: null,
+                _is_showing_recent: false,
+                _completion: null,
+                _should_complete: false,
+                _dependency_signature: null,
+                _was_disabled: false,
+                _bound_on_dependency_change: null,
+                _is_open: false,
+                _highlight_index: -1,
+                _last_query: '',
+                _sources: [],
+
+                _pending_request_token: 0,
+                _delay_timer: null,
+                _abort_controller: null,
+                _is_loading: false,
+                _has_error: false,
+                _page: 1,
+                _has_more: false,
+                _more_sources: [],
+
+                _bound_on_input: null,
+                _bound_on_focus: null,
+                _bound_on_blur: null,
+                _bound_on_keydown: null,
+                _bound_on_document_click: null,
+                _bound_on_resize: null,
+                _bound_on_scroll: null,
+
+                /**
+                 * Close suggestion dropdown.
+                 *
+                 * @returns {void}
+                 */
+                close: function () {
+
+                    if (!this._is_open) {
+                        return;
+                    }
+
+                    if (this._container) {
+                        this._container.style.display = 'none';
+                        this._container.innerHTML = '';
+                    }
+
+                    this._is_open = false;
+                    this._highlight_index = -1;
+                    this._visible_items = [];
+                    this._has_error = false;
+                    this._completion = null;
+
+                    this.element.setAttribute('aria-expanded', 'false');
+                    this.element.removeAttribute('aria-activedescendant');
+                    this._toggle_class(this.element, 'input_open', false);
+
+                    this._emit('close', {});
+                },
+
+                /**
+                 * Destroy this instance and detach all event listeners.
+                 *
+                 * @returns {void}
+                 */
+                destroy: function () {
+
+                    this._cancel_pending();
+                    this.close();
+                    this._unbind_events();
+                    this._release_sources();
+
+                    if (this._container && this._container.parentNode) {
+                        this._container.parentNode.removeChild(this._container);
+                    }
+
+                    if (this._live_region && this._live_region.parentNode) {
+                        this._live_region.parentNode.removeChild(this._live_region);
+                    }
+
+                    this._teardown_aria();
+                    this._teardown_tags();
+                    this._teardown_value_input();
+                    this._teardown_dependencies();
+
+                    if (this.element && this.element.dataset) {
+                        delete this.element.dataset.luggest;
+                    }
+
+                    if (this._has_generated_id) {
+                        this.element.removeAttribute('id');
+                    }
+
+                    if (core._instances && this.id && core._instances[this.id]) {
+                        delete core._instances[this.id];
+                    }
+                },
+
+                /**
+                 * Show suggestions for the current input text (ignores `min_length`).
+                 *
+                 * @returns {Promise<void>} Settles when results are rendered.
+                 */
+                open: function () {
+
+                    this._cancel_pending();
+
+                    return this._search(this.element.value || '');
+                },
+
+                /**
+                 * Put query into the input and show its suggestions immediately
+                 * (ignores `min_length` and `delay`).
+                 *
+                 * @param {String} query
+                 *
+                 * @returns {Promise<void>} Settles when results are rendered.
+                 */
+                search: function (query) {
+
+                    const text = query == null ? '' : String(query);
+
+                    this.element.value = text;
+                    this._last_query = text;
+
+                    if (this._selected_item && text !== this._selected_text) {
+                        this._clear_selection();
+                    }
+
+                    this._validate(false);
+                    this._cancel_pending();
+
+                    return this._search(text);
+                },
+
+                /**
+                 * Select item(s) by value without user interaction; labels are resolved
+                 * from the source. Callbacks are not called; `luggest:change` is dispatched,
+                 * so dependent fields follow. Empty value clears the selection.
+                 *
+                 * @param {String|Array<string>|null} value Array of values in multiple mode.
+                 *
+                 * @returns {Promise<Object|Array<Object>|null>} Resolves to get_selected().
+                 */
+                set_value: function (value) {
+
+                    const values = (value == null || value === '')
+                        ? []
+                        : (Array.isArray(value) ? value : [value]).map(String);
+
+                    return Promise.all(values.map((item_value) => this._find_item(item_value))).then((found) => {
+
+                        const items = found.map(function (item) {
+                            return core._plain_item(item);
+                        });
+
+                        if (this.options.multiple) {
+
+                            this._selected = items;
+                            this._render_tags();
+
+                        } else if (items.length) {
+                            this._apply_selection(items[0]);
+                        } else {
+
+                            this.element.value = '';
+                            this._clear_selection();
+                            this._validate(false);
+                        }
+
+                        this._emit('change', { selected: this.get_selected() });
+
+                        return this.get_selected();
+                    });
+                },
+
+                /**
+                 * Get selected item, or the list of selected items in multiple mode.
+                 *
+                 * @returns {Object|Array<Object>|null}
+                 */
+                get_selected: function () {
+
+                    if (this.options.multiple) {
+                        return this._selected.slice();
+                    }
+
+                    return this._selected_item;
+                },
+
+                /**
+                 * Replace the source; cached results are dropped.
+                 *
+                 * @param {*} source
+                 *
+                 * @returns {void}
+                 */
+                set_source: function (source) {
+                    this.set_options({ source: source });
+                },
+
+                /**
+                 * Update options. Only given options change, others keep their values.
+                 * The dropdown is closed; the current selection is kept unless the
+                 * selection mode (multiple, value input) changes.
+                 *
+                 * @param {Object} partial
+                 *
+                 * @returns {void}
+                 */
+                set_options: function (partial) {
+
+                    const changes = partial || {};
+                    const previous = this.options;
+
+                    this._cancel_pending();
+                    this.close();
+
+                    this._raw_options = Object.assign({}, this._raw_options, changes);
+                    this.options = core._resolve_options(this._raw_options, this.element);
+
+                    // Indexes fold text by the locale
+                    if (Object.prototype.hasOwnProperty.call(changes, 'source') || Object.prototype.hasOwnProperty.call(changes, 'index')
+                        || Object.prototype.hasOwnProperty.call(changes, 'locale')) {
+
+                        this._set_sources();
+                        this._items = [];
+
+                        core._clear_cache(previous.cache);
+
+                    } else if (previous.cache && this.options.cache && previous.cache.store === this.options.cache.store) {
+                        this.options.cache.keys = previous.cache.keys;
+                    }
+
+                    const mode_changed = previous.multiple !== this.options.multiple
+                        || Object.prototype.hasOwnProperty.call(changes, 'value_input')
+                        || Object.prototype.hasOwnProperty.call(changes, 'value_name');
+
+                    if (mode_changed) {
+
+                        if (previous.multiple) {
+                            this._teardown_tags();
+                            this._selected = [];
+                        } else {
+                            this._teardown_value_input();
+                        }
+
+                        if (this.options.multiple) {
+                            this._selected_item = null;
+                            this._selected_text = null;
+                            this._setup_tags();
+                        } else {
+                            this._setup_value_input();
+                        }
+                    }
+
+                    if (Object.prototype.hasOwnProperty.call(changes, 'depends_on')
+                        || Object.prototype.hasOwnProperty.call(changes, 'disable_until_parent')) {
+                        this._teardown_dependencies();
+                        this._setup_dependencies();
+                    }
+
+                    const look_changed = Object.prototype.hasOwnProperty.call(changes, 'class_names')
+                        || Object.prototype.hasOwnProperty.call(changes, 'theme');
+
+                    // The dropdown is created again with new classes when shown
+                    if (look_changed && this._container) {
+
+                        this._container.parentNode.removeChild(this._container);
+                        this._live_region.parentNode.removeChild(this._live_region);
+
+                        this._container = null;
+                        this._live_region = null;
+                        this.element.removeAttribute('aria-controls');
+                    }
+
+                    if (look_changed && this._tags_container) {
+                        this._tags_container.className = this._class_name('tags');
+                        this._apply_theme(this._tags_container);
+                        this._render_tags();
+                    }
+
+                    if (Object.prototype.hasOwnProperty.call(changes, 'append_to') && this._container) {
+
+                        const mount = this._resolve_mount();
+
+                        mount.appendChild(this._container);
+                        mount.appendChild(this._live_region);
+                    }
+                },
+
+                /**
+                 * Reload source data: cached results of this instance are dropped, array sources are
+                 * normalized again (e.g. after being modified in place) and open
+                 * suggestions are reloaded.
+                 *
+                 * @returns {Promise<void>} Settles when results are rendered.
+                 */
+                refresh: function () {
+
+                    this._set_sources();
+
+                    core._clear_cache(this.options.cache);
+
+                    if (!this._is_open) {
+                        return Promise.resolve();
+                    }
+
+                    this._cancel_pending();
+
+                    return this._search(this._last_query);
+                },
+
+                /**
+                 * Forget a remembered item, or all of them when no value is given.
+                 *
+                 * @param {String} [value]
+                 *
+                 * @returns {void}
+                 */
+                clear_history: function (value) {
+
+                    if (!this.options.history) {
+                        return;
+                    }
+
+                    const key = this._history_key();
+                    let removed = null;
+
+                    const items = value === undefined ? [] : core._read_history(key).filter(function (item) {
+
+                        if (item.value === String(value)) {
+                            removed = item;
+                            return false;
+                        }
+
+                        return true;
+                    });
+
+                    core._write_history(key, items);
+
+                    if (removed) {
+                        this._announce(this._message('removed_recent', { label: removed.label }));
+                    }
+
+                    if (this._is_open && this._is_showing_recent && !this._show_recent()) {
+                        this.close();
+                    }
+                },
+
+                /**
+                 * Storage key of remembered items (`history.key` or the element id).
+                 *
+                 * @returns {String}
+                 */
+                _history_key: function () {
+                    return this.options.history.key || this.id;
+                },
+
+                /**
+                 * Remember a selected item as the most recent one.
+                 *
+                 * @param {{value: string, label: string, metadata: any}} item
+                 *
+                 * @returns {void}
+                 */
+                _remember: function (item) {
+
+                    if (!this.options.history) {
+                        return;
+                    }
+
+                    const key = this._history_key();
+
+                    const items = core._read_history(key).filter(function (stored) {
+                        return stored.value !== item.value;
+                    });
+
+                    items.unshift(item);
+
+                    core._write_history(key, items.slice(0, this.options.history.max_items));
+                },
+
+                /**
+                 * Show pinned and recent items (for empty input).
+                 *
+                 * @returns {Boolean} False when there is nothing to show.
+                 */
+                _show_recent: function () {
+
+                    const pinned = this.options.pinned;
+
+                    const pinned_values = new Set(pinned.map(function (item) {
+                        return item.value;
+                    }));
+
+                    const recent = this.options.history
+                        ? core._read_history(this._history_key())
+                        : [];
+
+                    const items = this._exclude_selected(pinned.concat(recent
+                        .filter(function (item) {
+                            return !pinned_values.has(item.value);
+                        })
+                        .map(function (item) {
+                            return Object.assign({}, item, { is_recent: true });
+                        })));
+
+                    if (!items.length) {
+                        return false;
+                    }
+
+                    this._is_showing_recent = true;
+                    this._page = 1;
+                    this._has_more = false;
+                    this._items = items;
+                    this._render_items(items);
+
+                    return true;
+                },
+
+                /**
+                 * Get a built-in text from `messages` in the instance locale.
+                 *
+                 * @param {String} key
+                 * @param {Object} [params] Placeholder values ({label}, {query}, {count}).
+                 *
+                 * @returns {String}
+                 */
+                _message: function (key, params) {
+                    return core._format_message(this.options.messages[key], params, this.options.locale);
+                },
+
+                /**
+                 * Get class attribute value for a `class_names` key.
+                 *
+                 * @param {String} key
+                 *
+                 * @returns {String}
+                 */
+                _class_name: function (key) {
+                    return this._class_list(key).join(' ');
+                },
+
+                /**
+                 * Get classes of a `class_names` key as a list.
+                 *
+                 * @param {String} key
+                 *
+                 * @returns {Array<string>}
+                 */
+                _class_list: function (key) {
+                    return String(this.options.class_names[key] || '').split(/\s+/).filter(Boolean);
+                },
+
+                /**
+                 * Add or remove classes of a `class_names` key.
+                 *
+                 * @param {Element} node
+                 * @param {String} key
+                 * @param {Boolean} force Add when true, remove when false.
+                 *
+                 * @returns {void}
+                 */
+                _toggle_class: function (node, key, force) {
+
+                    const classes = this._class_list(key);
+
+                    for (let i = 0; i < classes.length; i++) {
+                        node.classList.toggle(classes[i], force);
+                    }
+                },
+
+                /**
+                 * Apply theme classes (`theme` option) to a dropdown or tags container.
+                 *
+                 * @param {Element} node
+                 *
+                 * @returns {void}
+                 */
+                _apply_theme: function (node) {
+
+                    this._toggle_class(node, 'theme_dark', this.options.theme === 'dark');
+                    this._toggle_class(node, 'theme_auto', this.options.theme === 'auto');
+                },
+
+                /**
+                 * Create dropdown container if not yet created.
+                 *
+                 * @returns {void}
+                 */
+                _ensure_container: function () {
+
+                    if (this._container) {
+                        return;
+                    }
+
+                    const container = document.createElement('div');
+                    container.className = this._class_name('dropdown');
+                    container.id = this._list_id;
+                    container.setAttribute('role', 'listbox');
+                    container.style.position = 'absolute';
+                    container.style.display = 'none';
+                    container.style.zIndex = '9999';
+
+                    container.addEventListener('scroll', this._handle_scroll.bind(this));
+
+                    // Keep focus in the input when clicking anywhere in the dropdown (e.g. its scrollbar)
+                    container.addEventListener('mousedown', function (event) {
+                        event.preventDefault();
+                    });
+
+                    const live_region = document.createElement('div');
+                    live_region.className = this._class_name('live_region');
+                    live_region.setAttribute('role', 'status');
+                    live_region.setAttribute('aria-live', 'polite');
+                    live_region.setAttribute('aria-atomic', 'true');
+
+                    // Visually hidden, but still read by screen readers
+                    live_region.style.position = 'absolute';
+                    live_region.style.width = '1px';
+                    live_region.style.height = '1px';
+                    live_region.style.margin = '-1px';
+                    live_region.style.padding = '0';
+                    live_region.style.overflow = 'hidden';
+                    live_region.style.clip = 'rect(0 0 0 0)';
+                    live_region.style.whiteSpace = 'nowrap';
+                    live_region.style.border = '0';
+
+                    this._apply_theme(container);
+
+                    core._ui_nodes.add(container);
+                    core._ui_nodes.add(live_region);
+
+                    const mount = this._resolve_mount();
+
+                    mount.appendChild(container);
+                    mount.appendChild(live_region);
+
+                    this._container = container;
+                    this._live_region = live_region;
+
+                    this.element.setAttribute('aria-controls', this._list_id);
+                },
+
+                /**
+                 * Create tags container before the input (multiple mode).
+                 * The input's own name is removed so typed text is not submitted;
+                 * selected values are submitted through hidden inputs instead.
+                 *
+                 * @returns {void}
+                 */
+                _setup_tags: function () {
+
+                    const tags = document.createElement('div');
+                    tags.className = this._class_name('tags');
+
+                    this._apply_theme(tags);
+
+                    core._ui_nodes.add(tags);
+
+                    tags.addEventListener('click', (event) => {
+                        if (event.target === tags) {
+                            this.element.focus();
+                        }
+                    });
+
+                    if (this.element.parentNode) {
+                        this.element.parentNode.insertBefore(tags, this.element);
+                    }
+
+                    if (this.element.hasAttribute('name')) {
+                        this._original_name = this.element.getAttribute('name');
+                        this.element.removeAttribute('name');
+                    }
+
+                    this._tags_container = tags;
+                },
+
+                /**
+                 * Remove tags container and restore the input's name (multiple mode).
+                 *
+                 * @returns {void}
+                 */
+                _teardown_tags: function () {
+
+                    if (this._tags_container && this._tags_container.parentNode) {
+                        this._tags_container.parentNode.removeChild(this._tags_container);
+                    }
+
+                    if (this._original_name !== null) {
+                        this.element.setAttribute('name', this._original_name);
+                    }
+
+                    this._tags_container = null;
+                    this._original_name = null;
+                },
+
+                /**
+                 * Render selected items as removable tags with hidden inputs (multiple mode).
+                 *
+                 * @returns {void}
+                 */
+                _render_tags: function () {
+
+                    const tags = this._tags_container;
+
+                    if (!tags) {
+                        return;
+                    }
+
+                    tags.innerHTML = '';
+
+                    const input_name = this.options.input_name
+                        || (this._original_name ? this._original_name + '[]' : null);
+
+                    for (let i = 0; i < this._selected.length; i++) {
+
+                        const item = this._selected[i];
+
+                        const tag = document.createElement('span');
+                        tag.className = this._class_name('tag');
+                        tag.dataset.value = item.value;
+
+                        const label = document.createElement('span');
+                        label.className = this._class_name('tag_label');
+                        label.textContent = item.label;
+
+                        const remove = document.createElement('button');
+                        remove.type = 'button';
+                        remove.className = this._class_name('tag_remove');
+                        remove.setAttribute('aria-label', this._message('remove', { label: item.label }));
+                        remove.textContent = '\u00d7';
+
+                        remove.addEventListener('click', () => {
+                            this._remove_item(i);
+                            this.element.focus();
+                        });
+
+                        tag.appendChild(label);
+                        tag.appendChild(remove);
+
+                        if (input_name) {
+                            const hidden = document.createElement('input');
+                            hidden.type = 'hidden';
+                            hidden.name = input_name;
+                            hidden.value = item.value;
+                            tag.appendChild(hidden);
+                        }
+
+                        tags.appendChild(tag);
+                    }
+                },
+
+                /**
+                 * Remove selected item at given index (multiple mode).
+                 *
+                 * @param {Number} index
+                 *
+                 * @returns {void}
+                 */
+                _remove_item: function (index) {
+
+                    const item = this._selected[index];
+
+                    if (!item || !this._emit('remove', { item: item }, true)) {
+                        return;
+                    }
+
+                    this._selected.splice(index, 1);
+                    this._render_tags();
+                    this._announce(this._message('removed', { label: item.label }));
+
+                    if (typeof this.options.on_remove === 'function') {
+                        this.options.on_remove(this.element, item);
+                    }
+                },
+
+                /**
+                 * Drop items that are already selected (multiple mode).
+                 *
+                 * @param {Array<{value: string, label: string, metadata: any}>} items
+                 *
+                 * @returns {Array<{value: string, label: string, metadata: any}>}
+                 */
+                _exclude_selected: function (items) {
+
+                    if (!this.options.multiple || !this._selected.length) {
+                        return items;
+                    }
+
+                    const selected_values = new Set(this._selected.map(function (item) {
+                        return item.value;
+                    }));
+
+                    return items.filter(function (item) {
+                        return !selected_values.has(item.value);
+                    });
+                },
+
+                /**
+                 * Link the hidden value input (`value_input` or created from `value_name`).
+                 * When both the value and the visible text are prefilled (edit forms),
+                 * they are taken as the current selection.
+                 *
+                 * @returns {void}
+                 */
+                _setup_value_input: function () {
+
+                    let input = null;
+
+                    if (this.options.value_input) {
+
+                        input = core._resolve_element(this.options.value_input);
+
+                        if (!input) {
+                            console.error('[Luggest] Value input not found for:', this.options.value_input);
+                        }
+
+                    } else if (this.options.value_name) {
+
+                        input = document.createElement('input');
+                        input.type = 'hidden';
+                        input.name = this.options.value_name;
+
+                        if (this.element.parentNode) {
+                            this.element.parentNode.insertBefore(input, this.element.nextSibling);
+                        }
+
+                        this._has_created_value_input = true;
+                    }
+
+                    this._value_input = input;
+
+                    if (input && input.value !== '' && this.element.value !== '') {
+                        this._selected_item = core._normalize_item({ value: input.value, label: this.element.value });
+                        this._selected_text = this.element.value;
+                    }
+                },
+
+                /**
+                 * Remove created value input and reset validity.
+                 *
+                 * @returns {void}
+                 */
+                _teardown_value_input: function () {
+
+                    if (this._has_created_value_input && this._value_input && this._value_input.parentNode) {
+                        this._value_input.parentNode.removeChild(this._value_input);
+                    }
+
+                    if (this.options.strict && typeof this.element.setCustomValidity === 'function') {
+                        this.element.setCustomValidity('');
+                    }
+
+                    this._value_input = null;
+                    this._has_created_value_input = false;
+                },
+
+                /**
+                 * Write value into the linked value input and notify listeners with a change event.
+                 *
+                 * @param {String} value
+                 *
+                 * @returns {void}
+                 */
+                _set_linked_value: function (value) {
+
+                    if (!this._value_input || this._value_input.value === value) {
+                        return;
+                    }
+
+                    this._value_input.value = value;
+                    this._value_input.dispatchEvent(new Event('change', { bubbles: true }));
+                },
+
+                /**
+                 * Forget the current single selection (text was edited after selecting).
+                 *
+                 * @returns {void}
+                 */
+                _clear_selection: function () {
+
+                    this._selected_item = null;
+                    this._selected_text = null;
+                    this._set_linked_value('');
+                },
+
+                /**
+                 * Update validity in strict mode: text without a selection is invalid.
+                 *
+                 * @param {Boolean} [notify] Call `on_invalid` when the text is rejected.
+                 *
+                 * @returns {Boolean} Whether the input is valid.
+                 */
+                _validate: function (notify) {
+
+                    if (!this.options.strict || this.options.multiple) {
+                        return true;
+                    }
+
+                    const text = this.element.value || '';
+                    const is_valid = text === '' || this._selected_item !== null;
+
+                    if (typeof this.element.setCustomValidity === 'function') {
+                        this.element.setCustomValidity(is_valid ? '' : this._message('invalid'));
+                    }
+
+                    if (!is_valid && notify && typeof this.options.on_invalid === 'function') {
+                        this.options.on_invalid(this.element, text);
+                    }
+
+                    return is_valid;
+                },
+
+                /**
+                 * Handle blur: close suggestions unless focus moved into the dropdown.
+                 * In strict mode, accept text exactly matching a shown label, otherwise
+                 * reject it.
+                 *
+                 * @param {FocusEvent} [event]
+                 *
+                 * @returns {void}
+                 */
+                _handle_blur: function (event) {
+
+                    const next_focus = event && event.relatedTarget;
+
+                    if (!next_focus || !this._container || !this._container.contains(next_focus)) {
+                        this._cancel_pending();
+                        this.close();
+                    }
+
+                    if (!this.options.strict || this.options.multiple || this._selected_item) {
+                        return;
+                    }
+
+                    const text = (this.element.value || '').trim();
+                    const locale = this.options.locale;
+
+                    if (text !== '') {
+
+                        const match = this._items.find(function (item) {
+                            return core._compare_text(item.label.trim(), text, locale) === 0;
+                        });
+
+                        if (match) {
+                            this._select(match);
+                            return;
+                        }
+                    }
+
+                    this._validate(true);
+                },
+
+                /**
+                 * Set up combobox ARIA attributes on the input element.
+                 *
+                 * @returns {void}
+                 */
+                _setup_aria: function () {
+
+                    this.element.setAttribute('role', 'combobox');
+                    this.element.setAttribute('aria-autocomplete', this.options.inline_completion ? 'both' : 'list');
+                    this.element.setAttribute('aria-expanded', 'false');
+                },
+
+                /**
+                 * Remove ARIA attributes added by Luggest from the input element.
+                 *
+                 * @returns {void}
+                 */
+                _teardown_aria: function () {
+
+                    const attributes = ['role', 'aria-autocomplete', 'aria-expanded', 'aria-controls', 'aria-activedescendant'];
+
+                    for (let i = 0; i < attributes.length; i++) {
+                        this.element.removeAttribute(attributes[i]);
+                    }
+                },
+
+                /**
+                 * Announce a message through the polite live region.
+                 *
+                 * @param {String} message
+                 *
+                 * @returns {void}
+                 */
+                _announce: function (message) {
+
+                    if (!this._live_region) {
+                        return;
+                    }
+
+                    this._live_region.textContent = message;
+                },
+
+                /**
+                 * Announce number of shown results.
+                 *
+                 * @param {Number} count
+                 *
+                 * @returns {void}
+                 */
+                _announce_results: function (count) {
+                    this._announce(this._message('results', { count: count }));
+                },
+
+                /**
+                 * Resolve the element the dropdown is mounted into (`append_to` option).
+                 *
+                 * @returns {Node}
+                 */
+                _resolve_mount: function () {
+
+                    const target = this.options.append_to;
+
+                    if (typeof target === 'string') {
+
+                        const mount = document.querySelector(target);
+
+                        if (mount) {
+                            return mount;
+                        }
+
+                        console.error('[Luggest] Mount element not found, using document.body:', target);
+
+                    } else if (target && typeof target.appendChild === 'function') {
+                        return target;
+                    }
+
+                    return document.body;
+                },
+
+                /**
+                 * Position container below the input element, or above it when there
+                 * is more space there. Height is limited to the available space and the
+                 * dropdown is shifted horizontally to stay within the viewport.
+                 *
+                 * @returns {void}
+                 */
+                _position_container: function () {
+
+                    if (!this._container || !this.element || !this._is_open) {
+                        return;
+                    }
+
+                    const container = this._container;
+                    const rect = this.element.getBoundingClientRect();
+                    const is_rtl = this._is_rtl();
+
+                    // Mounted elsewhere (body, append_to), the dropdown gets the input's direction
+                    container.setAttribute('dir', is_rtl ? 'rtl' : 'ltr');
+
+                    const edge = 8;
+                    const viewport_width = document.documentElement.clientWidth || window.innerWidth;
+                    const viewport_height = document.documentElement.clientHeight || window.innerHeight;
+
+                    container.style.boxSizing = 'border-box';
+                    container.style.overflowY = 'auto';
+                    container.style.minWidth = rect.width + 'px';
+                    container.style.maxHeight = this.options.max_height ? this.options.max_height + 'px' : '';
+
+                    const height = container.offsetHeight;
+                    const space_below = viewport_height - rect.bottom - edge;
+                    const space_above = rect.top - edge;
+                    const place_above = height > space_below && space_above > space_below;
+                    const available = Math.max(place_above ? space_above : space_below, 0);
+
+                    if (height > available) {
+                        container.style.maxHeight = available + 'px';
+                    }
+
+                    const final_height = container.offsetHeight;
+                    const width = container.offsetWidth;
+
+                    let top = place_above ? rect.top - final_height : rect.bottom;
+
+                    // Right-to-left: align to the input's right edge, growing to the left
+                    let left = is_rtl ? rect.right - width : rect.left;
+
+                    if (left + width > viewport_width - edge) {
+                        left = Math.max(edge, viewport_width - edge - width);
+                    }
+
+                    if (is_rtl && left < edge) {
+                        left = Math.min(edge, Math.max(0, viewport_width - edge - width));
+                    }
+
+                    const origin = this._get_offset_origin();
+
+                    container.style.top = (top - origin.top) + 'px';
+                    container.style.left = (left - origin.left) + 'px';
+
+                    if (place_above) {
+                        this._toggle_class(container, 'dropdown_above', true);
+                    } else {
+                        this._toggle_class(container, 'dropdown_above', false);
+                    }
+                },
+
+                /**
+                 * Check whether the input is laid out right-to-left (`dir="rtl"` on it
+                 * or an ancestor, or CSS `direction`).
+                 *
+                 * @returns {Boolean}
+                 */
+                _is_rtl: function () {
+
+                    const scope = this.element.closest('[dir]');
+                    const dir = scope ? scope.getAttribute('dir').toLowerCase() : '';
+
+                    if (dir === 'rtl' || dir === 'ltr') {
+                        return dir === 'rtl';
+                    }
+
+                    return window.getComputedStyle(this.element).direction === 'rtl';
+                },
+
+                /**
+                 * Viewport coordinates of the origin the container's top/left refer to.
+                 *
+                 * @returns {{top: number, left: number}}
+                 */
+                _get_offset_origin: function () {
+
+                    const parent = this._container.offsetParent;
+
+                    // No positioned ancestor: coordinates are relative to the document
+                    if (!parent || parent === document.body || parent === document.documentElement) {
+                        return {
+                            top: -window.scrollY,
+                            left: -window.scrollX
+                        };
+                    }
+
+                    const rect = parent.getBoundingClientRect();
+
+                    return {
+                        top: rect.top + parent.clientTop - parent.scrollTop,
+                        left: rect.left + parent.clientLeft - parent.scrollLeft
+                    };
+                },
+
+                /**
+                 * Reposition open dropdown when the page or any ancestor of the input scrolls.
+                 *
+                 * @param {Event} event
+                 *
+                 * @returns {void}
+                 */
+                _handle_scroll_parent: function (event) {
+
+                    // Scrolling the dropdown itself does not move it
+                    if (event.target === this._container) {
+                        return;
+                    }
+
+                    this._position_container();
+                },
+
+                /**
+                 * Render suggestion items in dropdown.
+                 *
+                 * @param {Array<{value: string, label: string, metadata: any}>} items
+                 * @param {Boolean} [keep_state] Keep highlight and scroll position (appended pages).
+                 *
+                 * @returns {void}
+                 */
+                _render_items: function (items, keep_state) {
+
+                    this._ensure_container();
+
+                    const container = this._container;
+                    const previous_highlight = this._highlight_index;
+                    const previous_scroll = container.scrollTop;
+                    const was_open = this._is_open;
+
+                    container.innerHTML = '';
+
+                    items = items || [];
+
+                    const query = this._last_query;
+                    const create_item = this._create_item(query, items);
+
+                    if (!items.length && !this.options.render_empty && !create_item) {
+                        this.close();
+                        this._announce_results(0);
+                        return;
+                    }
+
+                    const fragment = document.createDocumentFragment();
+                    const groups = this._group_items(items);
+
+                    this._visible_items = [];
+
+                    if (this.options.render_header) {
+                        this._append_section(fragment, 'header', this.options.render_header(items, query));
+                    }
+
+                    if (!items.length && this.options.render_empty) {
+                        this._append_section(fragment, 'empty', this.options.render_empty(query));
+                    }
+
+                    for (let g = 0; g < groups.length; g++) {
+
+                        const group = groups[g];
+                        let parent = fragment;
+
+                        if (group.name !== null) {
+
+                            const header_id = this._list_id + '-group-' + g;
+
+                            const wrapper = document.createElement('div');
+                            wrapper.className = this._class_name('group');
+                            wrapper.setAttribute('role', 'group');
+                            wrapper.setAttribute('aria-labelledby', header_id);
+
+                            const header = document.createElement('div');
+                            header.className = this._class_name('group_header');
+                            header.id = header_id;
+                            header.setAttribute('role', 'presentation');
+                            header.textContent = group.name;
+
+                            header.addEventListener('mousedown', function (event) {
+                                event.preventDefault();
+                            });
+
+                            wrapper.appendChild(header);
+                            fragment.appendChild(wrapper);
+
+                            parent = wrapper;
+                        }
+
+                        for (let i = 0; i < group.items.length; i++) {
+                            parent.appendChild(this._create_option(group.items[i], this._visible_items.length, query));
+                            this._visible_items.push(group.items[i]);
+                        }
+                    }
+
+                    if (create_item) {
+                        fragment.appendChild(this._create_option(create_item, this._visible_items.length, query));
+                        this._visible_items.push(create_item);
+                    }
+
+                    if (this.options.render_footer) {
+                        this._append_section(fragment, 'footer', this.options.render_footer(items, query));
+                    }
+
+                    container.appendChild(fragment);
+                    container.style.display = 'block';
+
+                    this._is_open = true;
+                    this._highlight_index = -1;
+                    this._position_container();
+
+                    this.element.setAttribute('aria-expanded', 'true');
+                    this.element.removeAttribute('aria-activedescendant');
+                    this._toggle_class(this.element, 'input_open', true);
+                    this._announce_results(this._visible_items.length);
+
+                    if (!was_open) {
+                        this._emit('open', { query: query });
+                    }
+
+                    if (keep_state) {
+
+                        container.scrollTop = previous_scroll;
+
+                        if (previous_highlight >= 0) {
+                            this._set_highlight(previous_highlight);
+                        }
+
+                        return;
+                    }
+
+                    if (typeof this.options.on_open === 'function') {
+                        this.options.on_open(this.element, items);
+                    }
+                },
+
+                /**
+                 * Create a selectable option row.
+                 *
+                 * @param {{value: string, label: string, metadata: any}} item
+                 * @param {Number} index Index in visible items.
+                 * @param {String} query
+                 *
+                 * @returns {HTMLElement}
+                 */
+                _create_option: function (item, index, query) {
+
+                    const div = document.createElement('div');
+                    div.className = this._class_name('item');
+                    div.id = this._list_id + '-option-' + index;
+                    div.setAttribute('role', 'option');
+                    div.setAttribute('aria-selected', 'false');
+                    div.dataset.index = String(index);
+
+                    let content = null;
+
+                    if (item.is_create) {
+                        this._toggle_class(div, 'item_create', true);
+                        content = core._to_node(item.create_label);
+                    } else if (this.options.render_item) {
+                        content = core._to_node(this.options.render_item(item, query));
+                    }
+
+                    div.appendChild(content || this._build_label(item, query));
+
+                    if (item.is_recent) {
+
+                        const remove = document.createElement('button');
+                        remove.type = 'button';
+                        remove.className = this._class_name('recent_remove');
+                        remove.tabIndex = -1;
+                        remove.setAttribute('aria-label', this._message('remove_recent', { label: item.label }));
+                        remove.textContent = '\u00d7';
+
+                        remove.addEventListener('mousedown', (event) => {
+                            event.preventDefault();
+                            event.stopPropagation();
+                            this.clear_history(item.value);
+                        });
+
+                        div.appendChild(remove);
+                    }
+
+                    div.addEventListener('mousedown', (event) => {
+                        event.preventDefault();
+                        this._select_item(index);
+                    });
+
+                    return div;
+                },
+
+                /**
+                 * Build the "Add" entry for query (`create` option), unless the query
+                 * is empty or equals a shown or selected label.
+                 *
+                 * @param {String} query
+                 * @param {Array<{value: string, label: string, metadata: any}>} items
+                 *
+                 * @returns {Object|null}
+                 */
+                _create_item: function (query, items) {
+
+                    const text = (query || '').trim();
+
+                    if (!this.options.create || text === '') {
+                        return null;
+                    }
+
+                    const locale = this.options.locale;
+
+                    const is_known = items.concat(this._selected).some(function (item) {
+                        return core._compare_text(item.label.trim(), text, locale) === 0;
+                    });
+
+                    if (is_known) {
+                        return null;
+                    }
+
+                    const label = typeof this.options.create === 'function'
+                        ? this.options.create(text)
+                        : this._message('create', { query: text });
+
+                    if (label == null || label === false) {
+                        return null;
+                    }
+
+                    return { value: text, label: text, metadata: null, group: null, is_create: true, create_label: label };
+                },
+
+                /**
+                 * Create an item from text via `on_create` (may be async), add it to
+                 * the array source and select it. `on_create` returning nothing cancels.
+                 *
+                 * @param {String} text
+                 *
+                 * @returns {Promise<void>}
+                 */
+                _create: function (text) {
+
+                    this._cancel_pending();
+                    this.close();
+
+                    let result;
+
+                    // Called from key and mouse handlers: errors are reported, not thrown
+                    try {
+                        result = this.options.on_create ? this.options.on_create(this.element, text) : text;
+                    } catch (error) {
+                        this._report_error(error);
+                        return Promise.resolve();
+                    }
+
+                    const is_async = !!result && typeof result.then === 'function';
+
+                    if (is_async) {
+                        this._set_loading(true);
+                    }
+
+                    return Promise.resolve(result).then((created) => {
+
+                        if (is_async) {
+                            this._set_loading(false);
+                        }
+
+                        if (created == null || created === false) {
+                            return;
+                        }
+
+                        const item = core._normalize_item(created);
+
+                        this._add_to_source(created, item);
+                        this._select(item);
+
+                    }).catch((error) => {
+                        this._set_loading(false);
+                        this._report_error(error);
+                    });
+                },
+
+                /**
+                 * Add a created item to the first array source, so it is found by
+                 * later searches. Cached remote results are dropped.
+                 *
+                 * @param {*} raw Item as returned by `on_create`.
+                 * @param {{value: string, label: string, metadata: any}} item Normalized item.
+                 *
+                 * @returns {void}
+                 */
+                _add_to_source: function (raw, item) {
+
+                    const entry = this._sources.find(function (candidate) {
+                        return Array.isArray(candidate.source);
+                    });
+
+                    core._clear_cache(this.options.cache);
+
+                    if (!entry || entry.normalized.some(function (known) { return known.value === item.value; })) {
+                        return;
+                    }
+
+                    entry.source.push(raw);
+                    entry.normalized.push(item);
+
+                    if (entry.index) {
+                        entry.index.add(item);
+                    }
+                },
+
+                /**
+                 * Prepare source entries from the `source` option; array sources get
+                 * a search index with the `index` option.
+                 *
+                 * @returns {void}
+                 */
+                _set_sources: function () {
+
+                    this._release_sources();
+                    this._sources = core._prepare_sources(this.options.source);
+
+                    if (!this.options.index) {
+                        return;
+                    }
+
+                    for (let i = 0; i < this._sources.length; i++) {
+
+                        const entry = this._sources[i];
+
+                        if (entry.normalized) {
+                            entry.index = core._create_index(entry.normalized, this.options.index.worker, (stats) => {
+                                if (this.options.on_index_stats) {
+                                    this.options.on_index_stats(this.element, stats);
+                                }
+                            }, this.options.locale);
+                        }
+                    }
+                },
+
+                /**
+                 * Watch `depends_on` fields: their change events anywhere in the document
+                 * trigger a check of their values.
+                 *
+                 * @returns {void}
+                 */
+                _setup_dependencies: function () {
+
+                    if (!this.options.depends_on.length) {
+                        return;
+                    }
+
+                    this._was_disabled = this.element.disabled;
+                    this._dependency_signature = JSON.stringify(this._dependency_values());
+
+                    // Checked after the event, when a selection is applied
+                    this._bound_on_dependency_change = () => {
+                        Promise.resolve().then(() => this._check_dependencies());
+                    };
+
+                    for (let i = 0; i < core._dependency_events.length; i++) {
+                        document.addEventListener(core._dependency_events[i], this._bound_on_dependency_change, true);
+                    }
+
+                    this._update_disabled();
+                },
+
+                /**
+                 * Stop watching `depends_on` fields and restore the disabled state.
+                 *
+                 * @returns {void}
+                 */
+                _teardown_dependencies: function () {
+
+                    if (!this._bound_on_dependency_change) {
+                        return;
+                    }
+
+                    for (let i = 0; i < core._dependency_events.length; i++) {
+                        document.removeEventListener(core._dependency_events[i], this._bound_on_dependency_change, true);
+                    }
+
+                    this._bound_on_dependency_change = null;
+                    this._dependency_signature = null;
+                    this.element.disabled = this._was_disabled;
+                },
+
+                /**
+                 * Get current values of `depends_on` fields by name.
+                 *
+                 * @returns {Object}
+                 */
+                _dependency_values: function () {
+
+                    const values = {};
+                    const dependencies = this.options.depends_on;
+
+                    for (let i = 0; i < dependencies.length; i++) {
+
+                        const dependency = core._read_dependency(dependencies[i].target);
+                        let name = dependencies[i].name;
+
+                        if (name === null && dependency.element) {
+                            name = (dependency.element.getAttribute('name') || dependency.element.id).replace(/\[\]$/, '');
+                        }
+
+                        if (name) {
+                            values[name] = dependency.value;
+                        }
+                    }
+
+                    return values;
+                },
+
+                /**
+                 * Reset this field when a `depends_on` value differs from the last seen one:
+                 * the selection, own cached results and shown suggestions are cleared. A `change` event is
+                 * dispatched when a value was cleared, so fields depending on this one
+                 * are reset as well.
+                 *
+                 * @returns {void}
+                 */
+                _check_dependencies: function () {
+
+                    if (!this._bound_on_dependency_change) {
+                        return;
+                    }
+
+                    const signature = JSON.stringify(this._dependency_values());
+
+                    if (signature === this._dependency_signature) {
+                        return;
+                    }
+
+                    this._dependency_signature = signature;
+
+                    this._cancel_pending();
+                    this.close();
+                    this._items = [];
+
+                    core._clear_cache(this.options.cache);
+
+                    const had_value = this.options.multiple ? this._selected.length > 0 : this.element.value !== '';
+
+                    if (this.options.multiple) {
+                        this._selected = [];
+                        this._render_tags();
+                    } else {
+                        this.element.value = '';
+                        this._clear_selection();
+                        this._validate(false);
+                    }
+
+                    this._update_disabled();
+
+                    if (had_value) {
+                        this.element.dispatchEvent(new Event('change', { bubbles: true }));
+                    }
+                },
+
+                /**
+                 * Disable the input while a `depends_on` field is empty (`disable_until_parent`).
+                 *
+                 * @returns {void}
+                 */
+                _update_disabled: function () {
+
+                    if (!this.options.disable_until_parent) {
+                        return;
+                    }
+
+                    const values = this._dependency_values();
+
+                    const is_missing = this.options.depends_on.length > Object.keys(values).length || Object.keys(values).some(function (name) {
+                        const value = values[name];
+                        return value == null || value === '' || (Array.isArray(value) && !value.length);
+                    });
+
+                    this.element.disabled = this._was_disabled || is_missing;
+                },
+
+                /**
+                 * Stop search indexes (and their workers) of current source entries.
+                 *
+                 * @returns {void}
+                 */
+                _release_sources: function () {
+
+                    for (let i = 0; i < this._sources.length; i++) {
+                        if (this._sources[i].index) {
+                            this._sources[i].index.destroy();
+                        }
+                    }
+                },
+
+                /**
+                 * Split items into groups in order of first appearance, applying
+                 * `max_results` globally and `max_results_per_group` per group.
+                 * Items without a group form a group with null name (no header).
+                 *
+                 * @param {Array<{value: string, label: string, metadata: any, group: string|null}>} items
+                 *
+                 * @returns {Array<{name: string|null, items: Array}>}
+                 */
+                _group_items: function (items) {
+
+                    const groups = [];
+                    const by_name = new Map();
+                    const per_group = this.options.max_results_per_group;
+                    let total = 0;
+
+                    // With paging all loaded pages are shown
+                    const max_results = this.options.paging ? Infinity : this.options.max_results;
+
+                    for (let i = 0; i < items.length && total < max_results; i++) {
+
+                        let name = items[i].is_recent
+                            ? (this.options.history.label !== null ? this.options.history.label : this._message('recent'))
+                            : (this.options.group_by ? this.options.group_by(items[i]) : items[i].group);
+
+                        name = (name == null || name === '') ? null : String(name);
+
+                        let group = by_name.get(name);
+
+                        if (!group) {
+                            group = { name: name, items: [] };
+                            by_name.set(name, group);
+                            groups.push(group);
+                        }
+
+                        if (per_group !== null && group.items.length >= per_group) {
+                            continue;
+                        }
+
+                        group.items.push(items[i]);
+                        total++;
+                    }
+
+                    return groups;
+                },
+
+                /**
+                 * Append a non-selectable row (header, footer, empty state) from hook output.
+                 *
+                 * @param {DocumentFragment} fragment
+                 * @param {String} class_key Key in `class_names`.
+                 * @param {Node|String|null} content
+                 *
+                 * @returns {void}
+                 */
+                _append_section: function (fragment, class_key, content) {
+
+                    const node = core._to_node(content);
+
+                    if (!node) {
+                        return;
+                    }
+
+                    const div = document.createElement('div');
+                    div.className = this._class_name(class_key);
+                    div.setAttribute('role', 'presentation');
+                    div.appendChild(node);
+
+                    // Keep focus in the input when clicking non-selectable rows
+                    div.addEventListener('mousedown', function (event) {
+                        event.preventDefault();
+                    });
+
+                    fragment.appendChild(div);
+                },
+
+                /**
+                 * Build item label content. With `highlight` enabled, matched
+                 * fragments are wrapped in <mark class="luggest-match">. Only text
+                 * nodes are created, so labels are never interpreted as HTML.
+                 *
+                 * @param {{value: string, label: string, matches: Array<Array<number>>}} item
+                 * @param {String} query
+                 *
+                 * @returns {DocumentFragment}
+                 */
+                _build_label: function (item, query) {
+
+                    const fragment = document.createDocumentFragment();
+                    const label = item.label || '';
+
+                    if (!this.options.highlight || !query) {
+                        fragment.appendChild(document.createTextNode(label));
+                        return fragment;
+                    }
+
+                    // Remote items carry no match info, so match the label here
+                    let ranges = item.matches;
+
+                    if (!Array.isArray(ranges)) {
+                        const result = this.options.match(query, item);
+                        ranges = result ? result.ranges : [];
+                    }
+
+                    ranges = core._merge_ranges(ranges, label.length);
+
+                    let position = 0;
+
+                    for (let i = 0; i < ranges.length; i++) {
+
+                        if (ranges[i][0] > position) {
+                            fragment.appendChild(document.createTextNode(label.slice(position, ranges[i][0])));
+                        }
+
+                        const mark = document.createElement('mark');
+                        mark.className = this._class_name('match');
+                        mark.textContent = label.slice(ranges[i][0], ranges[i][1]);
+                        fragment.appendChild(mark);
+
+                        position = ranges[i][1];
+                    }
+
+                    if (position < label.length) {
+                        fragment.appendChild(document.createTextNode(label.slice(position)));
+                    }
+
+                    return fragment;
+                },
+
+                /**
+                 * Handle input event; trigger suggestion loading.
+                 *
+                 * @param {Event} event
+                 *
+                 * @returns {void}
+                 */
+                _handle_input: function (event) {
+
+                    const value = this.element.value || '';
+                    this._last_query = value;
+
+                    if (this._selected_item && value !== this._selected_text) {
+                        this._clear_selection();
+                    }
+
+                    this._validate(false);
+                    this._cancel_pending();
+
+                    // Complete inline while typing, not while deleting (the completion would come back)
+                    this._should_complete = this.options.inline_completion
+                        && !(event && typeof event.inputType === 'string' && event.inputType.indexOf('delete') === 0);
+
+                    if (value === '' && this._show_recent()) {
+                        return;
+                    }
+
+                    if (value.length < this.options.min_length) {
+                        this.close();
+                        return;
+                    }
+
+                    if (this.options.delay > 0) {
+
+                        this._delay_timer = setTimeout(() => {
+                            this._delay_timer = null;
+                            this._search(value);
+                        }, this.options.delay);
+
+                        return;
+                    }
+
+                    this._search(value);
+                },
+
+                /**
+                 * Cancel debounced search and in-flight request; results of
+                 * earlier requests are dropped.
+                 *
+                 * @returns {void}
+                 */
+                _cancel_pending: function () {
+
+                    if (this._delay_timer) {
+                        clearTimeout(this._delay_timer);
+                        this._delay_timer = null;
+                    }
+
+                    if (this._abort_controller) {
+                        this._abort_controller.abort();
+                        this._abort_controller = null;
+                    }
+
+                    this._pending_request_token++;
+                    this._should_complete = false;
+                    this._set_loading(false);
+                },
+
+                /**
+                 * Load suggestions for query and render them.
+                 *
+                 * @param {String} query
+                 *
+                 * @returns {Promise<void>} Settles when results are rendered or dropped.
+                 */
+                _search: function (query) {
+
+                    if (!this._emit('search', { query: query, page: 1 }, true)) {
+                        return Promise.resolve();
+                    }
+
+                    this._is_showing_recent = false;
+
+                    const current_token = this._pending_request_token;
+                    const is_async = this._has_async_source();
+
+                    const controller = typeof AbortController === 'function' && is_async
+                        ? new AbortController()
+                        : null;
+
+                    this._abort_controller = controller;
+
+                    const promise = core._resolve_entries(this._sources, query, this.options, {
+                        signal: controller ? controller.signal : undefined,
+                        page: 1,
+                        element: this.element,
+                        depends: this._dependency_values()
+                    }).then((result) => {
+
+                        if (this._abort_controller === controller) {
+                            this._abort_controller = null;
+                        }
+
+                        if (current_token !== this._pending_request_token) {
+                            return;
+                        }
+
+                        this._set_loading(false);
+                        this._report_errors(result.errors);
+
+                        this._page = 1;
+                        this._has_more = result.has_more;
+                        this._more_sources = this._sources.filter(function (entry, i) {
+                            return result.more[i];
+                        });
+                        this._items = this._exclude_selected(result.items);
+                        this._render_items(this._items);
+
+                        if (this._should_complete) {
+                            this._complete(query);
+                        }
+
+                        this._emit('results', { query: query, items: this._items, page: 1, has_more: this._has_more });
+
+                    }).catch((error) => {
+
+                        // Superseded (including aborted) requests are dropped silently
+                        if (current_token !== this._pending_request_token) {
+                            return;
+                        }
+
+                        this._abort_controller = null;
+                        this._set_loading(false);
+                        this._show_error(error);
+                    });
+
+                    // Array sources resolve immediately, only async sources show loading state
+                    if (current_token === this._pending_request_token && is_async) {
+                        this._set_loading(true);
+                    }
+
+                    return promise;
+                },
+
+                /**
+                 * Load next result page and append it to the shown results (paging).
+                 * Pages of superseded queries are dropped by the request token.
+                 *
+                 * @param {Boolean} [advance_highlight] Highlight the first appended item.
+                 *
+                 * @returns {void}
+                 */
+                _load_more: function (advance_highlight) {
+
+                    if (!this.options.paging || !this._has_more || !this._is_open || this._is_loading || this._delay_timer) {
+                        return;
+                    }
+
+                    const current_token = this._pending_request_token;
+                    const page = this._page + 1;
+
+                    if (!this._emit('search', { query: this._last_query, page: page }, true)) {
+                        return;
+                    }
+
+                    const controller = typeof AbortController === 'function'
+                        ? new AbortController()
+                        : null;
+
+                    this._abort_controller = controller;
+                    this._set_loading(true);
+
+                    // Only sources that have not returned all their results yet
+                    const entries = this._more_sources;
+
+                    core._resolve_entries(entries, this._last_query, this.options, {
+                        signal: controller ? controller.signal : undefined,
+                        page: page,
+                        element: this.element,
+                        depends: this._dependency_values()
+                    }).then((result) => {
+
+                        if (this._abort_controller === controller) {
+                            this._abort_controller = null;
+                        }
+
+                        if (current_token !== this._pending_request_token) {
+                            return;
+                        }
+
+                        this._set_loading(false);
+                        this._report_errors(result.errors);
+
+                        const known_values = new Set(this._items.map(function (item) {
+                            return item.value;
+                        }));
+
+                        const added = this._exclude_selected(result.items).filter(function (item) {
+                            return !known_values.has(item.value);
+                        });
+
+                        const next_index = this._visible_items.length;
+
+                        this._page = page;
+                        this._has_more = result.has_more;
+                        this._more_sources = entries.filter(function (entry, i) {
+                            return result.more[i];
+                        });
+                        this._items = this._items.concat(added);
+                        this._render_items(this._items, true);
+
+                        if (advance_highlight && next_index < this._visible_items.length) {
+                            this._set_highlight(next_index);
+                        }
+
+                        this._emit('results', { query: this._last_query, items: this._items, page: page, has_more: this._has_more });
+
+                    }).catch((error) => {
+
+                        if (current_token !== this._pending_request_token) {
+                            return;
+                        }
+
+                        // Keep shown results; scrolling down again retries
+                        this._abort_controller = null;
+                        this._set_loading(false);
+                        this._report_error(error);
+                    });
+                },
+
+                /**
+                 * Load next page when the dropdown is scrolled to the bottom (paging).
+                 *
+                 * @returns {void}
+                 */
+                _handle_scroll: function () {
+
+                    const container = this._container;
+
+                    if (container.scrollTop + container.clientHeight >= container.scrollHeight - 20) {
+                        this._load_more(false);
+                    }
+                },
+
+                /**
+                 * Retry the last search (e.g. after an error).
+                 *
+                 * @returns {void}
+                 */
+                _retry: function () {
+
+                    this._cancel_pending();
+                    this.close();
+                    this._search(this._last_query);
+                },
+
+                /**
+                 * Toggle loading state: `luggest-loading` class on the input,
+                 * `is-loading` class on the dropdown and a loading row when
+                 * nothing is shown yet.
+                 *
+                 * @param {Boolean} is_loading
+                 *
+                 * @returns {void}
+                 */
+                _set_loading: function (is_loading) {
+
+                    if (this._is_loading === is_loading) {
+                        return;
+                    }
+
+                    this._is_loading = is_loading;
+
+                    if (is_loading) {
+                        this._toggle_class(this.element, 'input_loading', true);
+                    } else {
+                        this._toggle_class(this.element, 'input_loading', false);
+                    }
+
+                    if (is_loading && !this._is_open) {
+                        this._render_status('status_loading', document.createTextNode(this._message('loading')));
+                    }
+
+                    if (this._container) {
+                        if (is_loading) {
+                            this._toggle_class(this._container, 'dropdown_loading', true);
+                        } else {
+                            this._toggle_class(this._container, 'dropdown_loading', false);
+                        }
+                    }
+
+                    if (typeof this.options.on_loading === 'function') {
+                        this.options.on_loading(this.element, is_loading);
+                    }
+                },
+
+                /**
+                 * Pass a loading error to `on_error` and `luggest:error` listeners, or log
+                 * it when no callback is set and no listener prevented the event.
+                 *
+                 * @param {Error} error
+                 *
+                 * @returns {void}
+                 */
+                _report_error: function (error) {
+
+                    const is_handled = !this._emit('error', { error: error }, true);
+
+                    if (typeof this.options.on_error === 'function') {
+                        this.options.on_error(this.element, error);
+                    } else if (!is_handled) {
+                        console.error('[Luggest] Error loading suggestions:', error);
+                    }
+                },
+
+                /**
+                 * Report failures of individual sources when others succeeded.
+                 *
+                 * @param {Array<Error>} errors
+                 *
+                 * @returns {void}
+                 */
+                _report_errors: function (errors) {
+
+                    for (let i = 0; i < errors.length; i++) {
+                        this._report_error(errors[i]);
+                    }
+                },
+
+                /**
+                 * Check whether any source resolves asynchronously (URL, function, adapter).
+                 *
+                 * @returns {Boolean}
+                 */
+                _has_async_source: function () {
+
+                    return this._sources.some(function (entry) {
+                        return !Array.isArray(entry.source);
+                    });
+                },
+
+                /**
+                 * Report a loading error and show an error row with retry action.
+                 *
+                 * @param {Error} error
+                 *
+                 * @returns {void}
+                 */
+                _show_error: function (error) {
+
+                    this._report_error(error);
+
+                    const content = document.createDocumentFragment();
+
+                    const message = document.createElement('span');
+                    message.className = this._class_name('error_message');
+                    message.textContent = this._message('error');
+
+                    const retry = document.createElement('button');
+                    retry.type = 'button';
+                    retry.className = this._class_name('retry');
+                    retry.textContent = this._message('retry');
+
+                    retry.addEventListener('click', () => {
+                        this._retry();
+                    });
+
+                    content.appendChild(message);
+                    content.appendChild(document.createTextNode(' '));
+                    content.appendChild(retry);
+
+                    this._render_status('status_error', content);
+                    this._has_error = true;
+
+                    this._announce(this._message('error_announcement'));
+                },
+
+                /**
+                 * Show a single non-selectable status row (loading, error) in the dropdown.
+                 *
+                 * @param {String} class_key Key in `class_names` of the status kind.
+                 * @param {Node} content
+                 *
+                 * @returns {void}
+                 */
+                _render_status: function (class_key, content) {
+
+                    this._ensure_container();
+
+                    const container = this._container;
+                    const was_open = this._is_open;
+
+                    container.innerHTML = '';
+
+                    const div = document.createElement('div');
+                    div.className = this._class_name('status');
+                    this._toggle_class(div, class_key, true);
+                    div.setAttribute('role', 'presentation');
+                    div.appendChild(content);
+
+                    // Keep focus in the input when clicking the row
+                    div.addEventListener('mousedown', function (event) {
+                        event.preventDefault();
+                    });
+
+                    container.appendChild(div);
+                    container.style.display = 'block';
+
+                    this._is_open = true;
+                    this._highlight_index = -1;
+                    this._visible_items = [];
+                    this._has_error = false;
+                    this._position_container();
+
+                    this.element.setAttribute('aria-expanded', 'true');
+                    this.element.removeAttribute('aria-activedescendant');
+                    this._toggle_class(this.element, 'input_open', true);
+
+                    if (!was_open) {
+                        this._emit('open', { query: this._last_query });
+                    }
+                },
+
+                /**
+                 * Set active (highlighted) item by index.
+                 *
+                 * @param {Number} index
+                 *
+                 * @returns {void}
+                 */
+                _set_highlight: function (index) {
+
+                    if (!this._container) {
+                        return;
+                    }
+
+                    // Moving away from the inline completed item drops the completion text
+                    if (this._completion && this._visible_items[index] !== this._completion) {
+
+                        if (this._has_completion()) {
+                            this.element.value = this._last_query;
+                        }
+
+                        this._completion = null;
+                    }
+
+                    const nodes = this._container.querySelectorAll('[role="option"]');
+
+                    for (let i = 0; i < nodes.length; i++) {
+                        const node = nodes[i];
+                        if (i === index) {
+                            this._toggle_class(node, 'item_active', true);
+                            node.setAttribute('aria-selected', 'true');
+                        } else {
+                            this._toggle_class(node, 'item_active', false);
+                            node.setAttribute('aria-selected', 'false');
+                        }
+                    }
+
+                    if (nodes[index]) {
+                        this.element.setAttribute('aria-activedescendant', nodes[index].id);
+                        this._scroll_into_view(nodes[index]);
+                    } else {
+                        this.element.removeAttribute('aria-activedescendant');
+                    }
+
+                    const previous_index = this._highlight_index;
+
+                    this._highlight_index = index;
+
+                    if (index !== previous_index && this._visible_items[index]) {
+                        this._emit('highlight', { item: this._visible_items[index], index: index });
+                    }
+                },
+
+                /**
+                 * Scroll the dropdown so that given option is fully visible.
+                 *
+                 * @param {HTMLElement} node
+                 *
+                 * @returns {void}
+                 */
+                _scroll_into_view: function (node) {
+
+                    const container = this._container;
+                    const container_rect = container.getBoundingClientRect();
+                    const node_rect = node.getBoundingClientRect();
+
+                    if (node_rect.top < container_rect.top + container.clientTop) {
+                        container.scrollTop -= container_rect.top + container.clientTop - node_rect.top;
+                    } else if (node_rect.bottom > container_rect.top + container.clientTop + container.clientHeight) {
+                        container.scrollTop += node_rect.bottom - (container_rect.top + container.clientTop + container.clientHeight);
+                    }
+                },
+
+                /**
+                 * Handle keyboard navigation.
+                 *
+                 * @param {KeyboardEvent} event
+                 *
+                 * @returns {void}
+                 */
+                _handle_keydown: function (event) {
+
+                    if (this.options.multiple && event.key === 'Backspace' && this.element.value === '' && this._selected.length) {
+                        event.preventDefault();
+                        this._remove_item(this._selected.length - 1);
+                        return;
+                    }
+
+                    const key = event.key;
+
+                    if (key === 'Escape' || key === 'Esc') {
+
+                        // Drop inline completion text
+                        if (this._has_completion()) {
+                            this.element.value = this._last_query;
+                        }
+
+                        this._cancel_pending();
+                        this.close();
+                        return;
+                    }
+
+                    if ((key === 'Tab' || key === 'ArrowRight' || key === 'Right') && this._has_completion()) {
+                        event.preventDefault();
+                        this._select(this._completion);
+                        return;
+                    }
+
+                    if (key === 'Enter' && this._is_open && this._has_error) {
+                        event.preventDefault();
+                        this._retry();
+                        return;
+                    }
+
+                    const count = this._visible_items.length;
+
+                    if (!this._is_open || !count) {
+                        return;
+                    }
+
+                    const highlighted = this._visible_items[this._highlight_index];
+
+                    if ((key === 'Delete' || key === 'Del') && event.shiftKey && highlighted && highlighted.is_recent) {
+                        event.preventDefault();
+                        this.clear_history(highlighted.value);
+                        return;
+                    }
+
+                    if (key === 'ArrowDown' || key === 'Down') {
+
+                        event.preventDefault();
+
+                        // Past the last item, load next page instead of wrapping around
+                        if (this._highlight_index === count - 1 && this._has_more && this.options.paging) {
+                            this._load_more(true);
+                            return;
+                        }
+
+                        const next_index = (this._highlight_index + 1) % count;
+                        this._set_highlight(next_index);
+
+                    } else if (key === 'ArrowUp' || key === 'Up') {
+
+                        event.preventDefault();
+
+                        const prev_index = (this._highlight_index - 1 + count) % count;
+                        this._set_highlight(prev_index);
+
+                    } else if (key === 'PageDown' || key === 'PageUp') {
+
+                        event.preventDefault();
+
+                        if (key === 'PageDown' && this._highlight_index === count - 1 && this._has_more && this.options.paging) {
+                            this._load_more(true);
+                            return;
+                        }
+
+                        const step = key === 'PageDown' ? this._page_step() : -this._page_step();
+                        this._set_highlight(Math.max(0, Math.min(count - 1, this._highlight_index + step)));
+
+                    } else if ((key === 'Home' || key === 'End') && this._highlight_index >= 0) {
+
+                        // Only while navigating the list; otherwise Home/End move the caret
+                        event.preventDefault();
+                        this._set_highlight(key === 'Home' ? 0 : count - 1);
+
+                    } else if (key === 'Enter') {
+
+                        if (this._highlight_index >= 0 && this._highlight_index < count) {
+                            event.preventDefault();
+                            this._select_item(this._highlight_index);
+                        }
+
+                    }
+                },
+
+                /**
+                 * Number of items moved by PageUp/PageDown (items fitting in the dropdown).
+                 *
+                 * @returns {Number}
+                 */
+                _page_step: function () {
+
+                    const node = this._container.querySelector('[role="option"]');
+                    const height = node ? node.offsetHeight : 0;
+
+                    return height > 0 ? Math.max(1, Math.floor(this._container.clientHeight / height)) : 10;
+                },
+
+                /**
+                 * Complete the first item whose label starts with query inline: the rest
+                 * of the label is appended as selected text and the item is highlighted.
+                 *
+                 * @param {String} query
+                 *
+                 * @returns {void}
+                 */
+                _complete: function (query) {
+
+                    const locale = this.options.locale;
+
+                    const index = this._visible_items.findIndex(function (item) {
+                        return item.label.length > query.length && core._compare_text(item.label.slice(0, query.length), query, locale) === 0;
+                    });
+
+                    if (query === '' || index < 0 || this.element.value !== query) {
+                        return;
+                    }
+
+                    const item = this._visible_items[index];
+                    const text = query + item.label.slice(query.length);
+
+                    try {
+                        this.element.value = text;
+                        this.element.setSelectionRange(query.length, text.length);
+                    } catch (error) {
+                        // Input types without selection support (email, number)
+                        this.element.value = query;
+                        return;
+                    }
+
+                    this._completion = item;
+                    this._set_highlight(index);
+                },
+
+                /**
+                 * Check whether inline completion text is shown (still selected after the caret).
+                 *
+                 * @returns {Boolean}
+                 */
+                _has_completion: function () {
+
+                    const element = this.element;
+
+                    return !!this._completion
+                        && element.value !== this._last_query
+                        && element.selectionStart === this._last_query.length
+                        && element.selectionEnd === element.value.length;
+                },
+
+                /**
+                 * Handle focus event (only if min_length = 0, or empty input with
+                 * recent or pinned items).
+                 *
+                 * @returns {void}
+                 */
+                _handle_focus: function () {
+
+                    // Parent values may have changed without events (e.g. set_value())
+                    this._check_dependencies();
+
+                    const has_recent = this.options.history || this.options.pinned.length;
+
+                    if (this.options.min_length === 0 || (has_recent && !this.element.value)) {
+                        this._handle_input(); // triggers loading all results
+                    }
+                },
+
+
+                /**
+                 * Handle clicks outside the input/dropdown to close results.
+                 *
+                 * @param {MouseEvent} event
+                 *
+                 * @returns {void}
+                 */
+                _handle_document_click: function (event) {
+
+                    const target = event.target;
+
+                    // Composed path sees through shadow roots (input or dropdown inside one)
+                    const path = typeof event.composedPath === 'function' ? event.composedPath() : [target];
+
+                    if (target === this.element || path.indexOf(this.element) !== -1) {
+                        return;
+                    }
+
+                    if (this._container && (this._container.contains(target) || path.indexOf(this._container) !== -1)) {
+                        return;
+                    }
+
+                    this._cancel_pending();
+                    this.close();
+                },
+
+                /**
+                 * Select item at given index.
+                 *
+                 * @param {Number} index
+                 *
+                 * @returns {void}
+                 */
+                _select_item: function (index) {
+
+                    const item = this._visible_items[index];
+
+                    if (!item) {
+                        return;
+                    }
+
+                    this._select(item);
+                },
+
+                /**
+                 * Apply selection of an item. With a linked value input, the label
+                 * stays visible and the value goes to the value input.
+                 *
+                 * @param {Object} shown_item Item as shown, may carry search fields (score, matches).
+                 *
+                 * @returns {void}
+                 */
+                _select: function (shown_item) {
+
+                    if (shown_item.is_create) {
+                        this._create(shown_item.value);
+                        return;
+                    }
+
+                    const item = core._plain_item(shown_item);
+
+                    // A prevented `luggest:select` keeps the dropdown open and the value unchanged
+                    if (!this._emit('select', { item: item }, true)) {
+                        return;
+                    }
+
+                    if (this.options.multiple) {
+
+                        if (!this._selected.some(function (selected) { return selected.value === item.value; })) {
+                            this._selected.push(item);
+                            this._render_tags();
+                        }
+
+                        this.element.value = '';
+                        this._last_query = '';
+
+                    } else {
+                        this._apply_selection(item);
+                    }
+
+                    this._remember(item);
+
+                    if (typeof this.options.on_select === 'function') {
+                        this.options.on_select(this.element, item);
+                    }
+
+                    this.close();
+                },
+
+                /**
+                 * Show a single selection in the input (label with a linked value
+                 * input, value otherwise) and remember it.
+                 *
+                 * @param {{value: string, label: string, metadata: any}} item
+                 *
+                 * @returns {void}
+                 */
+                _apply_selection: function (item) {
+
+                    const text = this._value_input ? item.label : item.value;
+
+                    this.element.value = text;
+                    this._selected_item = item;
+                    this._selected_text = text;
+                    this._set_linked_value(item.value);
+                    this._validate(false);
+                },
+
+                /**
+                 * Dispatch a bubbling `luggest:<name>` CustomEvent on the input.
+                 *
+                 * @param {String} name
+                 * @param {Object} detail Merged with `{instance}`.
+                 * @param {Boolean} [cancelable]
+                 *
+                 * @returns {Boolean} False when a listener called preventDefault().
+                 */
+                _emit: function (name, detail, cancelable) {
+
+                    const event = new CustomEvent('luggest:' + name, {
+                        bubbles: true,
+                        cancelable: !!cancelable,
+                        detail: Object.assign({ instance: this }, detail)
+                    });
+
+                    return this.element.dispatchEvent(event);
+                },
+
+                /**
+                 * Find item by value: among known items and array sources first,
+                 * then by querying async sources with the value. Falls back to an
+                 * item with the value as label.
+                 *
+                 * @param {String} value
+                 *
+                 * @returns {Promise<{value: string, label: string, metadata: any}>}
+                 */
+                _find_item: function (value) {
+
+                    let known = this._selected.concat(this._selected_item ? [this._selected_item] : [], this._items, this.options.pinned);
+
+                    for (let i = 0; i < this._sources.length; i++) {
+                        if (this._sources[i].normalized) {
+                            known = known.concat(this._sources[i].normalized);
+                        }
+                    }
+
+                    const found = known.find(function (item) {
+                        return item.value === value;
+                    });
+
+                    const fallback = core._normalize_item(value);
+
+                    if (found) {
+                        return Promise.resolve(found);
+                    }
+
+                    if (!this._has_async_source()) {
+                        return Promise.resolve(fallback);
+                    }
+
+                    return core._resolve_entries(this._sources, value, this.options, { page: 1, element: this.element, depends: this._dependency_values() })
+                        .then(function (result) {
+                            return result.items.find(function (item) {
+                                return item.value === value;
+                            }) || fallback;
+                        })
+                        .catch(function () {
+                            return fallback;
+                        });
+                },
+
+                /**
+                 * Bind DOM event listeners.
+                 *
+                 * @returns {void}
+                 */
+                _bind_events: function () {
+
+                    this._bound_on_input = this._handle_input.bind(this);
+                    this._bound_on_focus = this._handle_focus.bind(this);
+                    this._bound_on_blur = this._handle_blur.bind(this);
+                    this._bound_on_keydown = this._handle_keydown.bind(this);
+                    this._bound_on_document_click = this._handle_document_click.bind(this);
+                    this._bound_on_resize = this._position_container.bind(this);
+                    this._bound_on_scroll = this._handle_scroll_parent.bind(this);
+
+                    this.element.addEventListener('input', this._bound_on_input);
+                    this.element.addEventListener('focus', this._bound_on_focus);
+                    this.element.addEventListener('blur', this._bound_on_blur);
+                    this.element.addEventListener('keydown', this._bound_on_keydown);
+                    document.addEventListener('click', this._bound_on_document_click);
+                    window.addEventListener('resize', this._bound_on_resize);
+
+                    // Capture scroll events of any scrollable ancestor (modals, sidebars)
+                    document.addEventListener('scroll', this._bound_on_scroll, true);
+                },
+
+                /**
+                 * Unbind DOM event listeners.
+                 *
+                 * @returns {void}
+                 */
+                _unbind_events: function () {
+
+                    if (this._bound_on_input) {
+                        this.element.removeEventListener('input', this._bound_on_input);
+                    }
+
+                    if (this._bound_on_focus) {
+                        this.element.removeEventListener('focus', this._bound_on_focus);
+                    }
+
+                    if (this._bound_on_blur) {
+                        this.element.removeEventListener('blur', this._bound_on_blur);
+                    }
+
+                    if (this._bound_on_keydown) {
+                        this.element.removeEventListener('keydown', this._bound_on_keydown);
+                    }
+
+                    if (this._bound_on_document_click) {
+                        document.removeEventListener('click', this._bound_on_document_click);
+                    }
+
+                    if (this._bound_on_resize) {
+                        window.removeEventListener('resize', this._bound_on_resize);
+                    }
+
+                    if (this._bound_on_scroll) {
+                        document.removeEventListener('scroll', this._bound_on_scroll, true);
+                    }
+
+                    this._bound_on_input = null;
+                    this._bound_on_focus = null;
+                    this._bound_on_blur = null;
+                    this._bound_on_keydown = null;
+                    this._bound_on_document_click = null;
+                    this._bound_on_resize = null;
+                    this._bound_on_scroll = null;
+                }
+            });
+
+            instance._set_sources();
+            instance._setup_aria();
+            instance._setup_dependencies();
+
+            if (instance.options.multiple) {
+                instance._setup_tags();
+            } else {
+                instance._setup_value_input();
+            }
+
+            instance._bind_events();
+
+            return instance;
+        }
+    };
+
+    return _instance;
+}
@@ -0,0 +1,287 @@
+/**
+ * Luggest - Lightweight Autocomplete Library
+ * ------------------------------------------
+ * Type declarations for the ES module, UMD and global builds.
+ *
+ * Repository: https://github.com/yesman93/luggest
+ * License: MIT
+ */
+
+/** Normalized suggestion item. */
+export interface LuggestItem<M = any> {
+    value: string;
+    label: string;
+    metadata: M;
+    group: string | null;
+}
+
+/** Item as returned from a search, with relevance score and matched label ranges. */
+export interface LuggestMatchedItem<M = any> extends LuggestItem<M> {
+    score?: number;
+    matches?: Array<[number, number]>;
+}
+
+/** Raw item accepted in sources: a string or an object with value and label. */
+export type LuggestRawItem = string | {
+    value?: string | number;
+    label?: string;
+    metadata?: any;
+    group?: string | null;
+    [key: string]: any;
+};
+
+/** Page of results: an array or an object with paging information. */
+export type LuggestSourceResult = LuggestRawItem[] | {
+    items: LuggestRawItem[];
+    has_more?: boolean;
+    total?: number;
+};
+
+/** Context passed to function sources and adapters. */
+export interface LuggestSearchContext {
+    signal?: AbortSignal;
+    page: number;
+    element?: HTMLInputElement;
+    depends?: Record<string, string | string[]>;
+}
+
+export type LuggestSourceFunction = (query: string, context: LuggestSearchContext) => LuggestSourceResult | Promise<LuggestSourceResult>;
+
+/** Source adapter (IndexedDB, GraphQL client, search index, ...). */
+export interface LuggestAdapter {
+    search(query: string, context: LuggestSearchContext): LuggestSourceResult | Promise<LuggestSourceResult>;
+    limit?: number;
+    group?: string;
+}
+
+/** Source entry of a multi-source list with per-source settings. */
+export interface LuggestSourceDescriptor {
+    source: LuggestRawItem[] | string | LuggestSourceFunction | LuggestAdapter;
+    limit?: number;
+    group?: string;
+}
+
+export type LuggestSourceEntry = LuggestRawItem[] | string | LuggestSourceFunction | LuggestAdapter | LuggestSourceDescriptor;
+
+export type LuggestSource =
+    | LuggestRawItem[]
+    | string
+    | LuggestSourceFunction
+    | LuggestAdapter
+    | Iterable<LuggestSourceEntry>;
+
+/** Result of a matcher: score (higher is better) and matched ranges, or a plain score. */
+export type LuggestMatchResult = number | boolean | null | {
+    score: number;
+    ranges?: Array<[number, number]>;
+};
+
+export type LuggestMatcher = (query: string, item: LuggestItem, locale: string[]) => LuggestMatchResult;
+
+export type LuggestRenderResult = Node | string | null | false;
+
+export interface LuggestRequestSettings {
+    url?: string;
+    method?: string;
+    query_param?: string;
+    params?: Record<string, any> | (() => Record<string, any>);
+    headers?: Record<string, string | (() => string)> | (() => Record<string, string>);
+    body?: any | ((query: string, params: Record<string, any>) => any);
+    credentials?: RequestCredentials;
+}
+
+export interface LuggestCacheSettings {
+    max_entries?: number;
+    ttl?: number;
+    key?: string;
+    shared?: boolean;
+    reuse_broader?: boolean;
+}
+
+export interface LuggestPagingSettings {
+    page_size?: number;
+    page_param?: string | null;
+    offset_param?: string | null;
+    size_param?: string | null;
+}
+
+export interface LuggestHistorySettings {
+    key?: string;
+    max_items?: number;
+    label?: string;
+}
+
+export interface LuggestIndexSettings {
+    worker?: boolean;
+    limit?: number;
+}
+
+export interface LuggestIndexStats {
+    type: 'build' | 'query';
+    time: number;
+    worker: boolean;
+    items?: number;
+    query?: string;
+    candidates?: number;
+    results?: number;
+}
+
+export type LuggestClassNameKey =
+    | 'dropdown' | 'dropdown_above' | 'dropdown_loading' | 'live_region'
+    | 'item' | 'item_active' | 'item_create' | 'recent_remove' | 'match'
+    | 'header' | 'footer' | 'empty' | 'group' | 'group_header'
+    | 'tags' | 'tag' | 'tag_label' | 'tag_remove'
+    | 'status' | 'status_loading' | 'status_error' | 'error_message' | 'retry'
+    | 'input_open' | 'input_loading' | 'theme_dark' | 'theme_auto';
+
+export type LuggestDependency = string | HTMLElement | LuggestInstance;
+
+export type LuggestMessageKey =
+    | 'results' | 'loading' | 'error' | 'error_announcement' | 'retry'
+    | 'remove' | 'removed' | 'remove_recent' | 'removed_recent'
+    | 'recent' | 'create' | 'invalid';
+
+/**
+ * Built-in text: template with {name} placeholders, plural forms keyed by exact
+ * count ('=0') or Intl.PluralRules category (one, few, many, other, ...), or a function.
+ */
+export type LuggestMessage =
+    | string
+    | Partial<Record<'zero' | 'one' | 'two' | 'few' | 'many' | 'other' | `=${number}`, string>>
+    | ((params: { count?: number; label?: string; query?: string }) => string);
+
+export interface LuggestOptions {
+    source?: LuggestSource;
+    min_length?: number;
+    max_results?: number;
+    match?: 'substring' | 'prefix' | 'word' | 'accent' | 'fuzzy' | LuggestMatcher;
+    highlight?: boolean;
+    render_item?: (item: LuggestMatchedItem, query: string) => LuggestRenderResult;
+    render_empty?: (query: string) => LuggestRenderResult;
+    render_header?: (items: LuggestMatchedItem[], query: string) => LuggestRenderResult;
+    render_footer?: (items: LuggestMatchedItem[], query: string) => LuggestRenderResult;
+    group_by?: (item: LuggestItem) => string | null | undefined;
+    max_results_per_group?: number;
+    multiple?: boolean;
+    input_name?: string;
+    request?: LuggestRequestSettings | ((query: string, url: string) => LuggestRequestSettings);
+    transform_response?: (data: any, response: Response) => LuggestSourceResult;
+    delay?: number;
+    cache?: boolean | LuggestCacheSettings;
+    paging?: boolean | LuggestPagingSettings;
+    append_to?: HTMLElement | ShadowRoot | string;
+    max_height?: number;
+    value_input?: HTMLInputElement | string;
+    value_name?: string;
+    strict?: boolean;
+    history?: boolean | string | LuggestHistorySettings;
+    pinned?: LuggestRawItem[];
+    inline_completion?: boolean;
+    create?: boolean | ((query: string) => LuggestRenderResult);
+    theme?: 'light' | 'dark' | 'auto';
+    class_names?: Partial<Record<LuggestClassNameKey, string>>;
+    index?: boolean | LuggestIndexSettings;
+    depends_on?: LuggestDependency | LuggestDependency[] | Record<string, LuggestDependency>;
+    filter?: (item: LuggestItem, depends: Record<string, string | string[]>) => boolean;
+    disable_until_parent?: boolean;
+    locale?: string | string[];
+    messages?: Partial<Record<LuggestMessageKey, LuggestMessage>>;
+
+    on_open?: (element: HTMLInputElement, items: LuggestMatchedItem[]) => void;
+    on_select?: (element: HTMLInputElement, item: LuggestItem) => void;
+    on_remove?: (element: HTMLInputElement, item: LuggestItem) => void;
+    on_invalid?: (element: HTMLInputElement, text: string) => void;
+    on_loading?: (element: HTMLInputElement, is_loading: boolean) => void;
+    on_error?: (element: HTMLInputElement, error: Error) => void;
+    on_create?: (element: HTMLInputElement, query: string) => LuggestRawItem | null | undefined | Promise<LuggestRawItem | null | undefined>;
+    on_index_stats?: (element: HTMLInputElement, stats: LuggestIndexStats) => void;
+}
+
+/** `detail` of `luggest:*` CustomEvents dispatched on the input. */
+export interface LuggestEventDetailMap {
+    'luggest:search': { instance: LuggestInstance; query: string; page: number };
+    'luggest:results': { instance: LuggestInstance; query: string; items: LuggestMatchedItem[]; page: number; has_more: boolean };
+    'luggest:open': { instance: LuggestInstance; query: string };
+    'luggest:close': { instance: LuggestInstance };
+    'luggest:highlight': { instance: LuggestInstance; item: LuggestItem; index: number };
+    'luggest:select': { instance: LuggestInstance; item: LuggestItem };
+    'luggest:remove': { instance: LuggestInstance; item: LuggestItem };
+    'luggest:change': { instance: LuggestInstance; selected: LuggestItem | LuggestItem[] | null };
+    'luggest:error': { instance: LuggestInstance; error: Error };
+}
+
+/** Luggest instance bound to an input element. */
+export declare class LuggestInstance {
+
+    /** Initialize like `Luggest.init()`; throws when the target is not found. */
+    constructor(target: HTMLInputElement | string, options?: LuggestOptions);
+
+    readonly id: string;
+    readonly element: HTMLInputElement;
+    options: Record<string, any>;
+
+    open(): Promise<void>;
+    search(query: string): Promise<void>;
+    set_value(value: string | string[] | null): Promise<LuggestItem | LuggestItem[] | null>;
+    get_selected(): LuggestItem | LuggestItem[] | null;
+    set_source(source: LuggestSource): void;
+    set_options(options: Partial<LuggestOptions>): void;
+    refresh(): Promise<void>;
+    clear_history(value?: string): void;
+    close(): void;
+    destroy(): void;
+}
+
+/** Luggest core: instance registry and factory. */
+export interface Luggest {
+    readonly Instance: typeof LuggestInstance;
+    readonly LuggestInstance?: typeof LuggestInstance;
+    readonly instances: Record<string, LuggestInstance>;
+    default_min_length: number;
+    class_names: Record<LuggestClassNameKey, string>;
+    messages: Record<LuggestMessageKey, LuggestMessage>;
+    auto_init: boolean;
+    auto_init_selector: string;
+
+    init(target: HTMLInputElement | string, options?: LuggestOptions): LuggestInstance | null;
+    get(id: string): LuggestInstance | null;
+    destroy(id: string): void;
+    sources(list: Iterable<LuggestSourceEntry>): LuggestSourceEntry[];
+    html(strings: TemplateStringsArray, ...values: any[]): DocumentFragment;
+    scan(root?: Document | HTMLElement): LuggestInstance[];
+    observe(): void;
+    disconnect(): void;
+}
+
+declare const Luggest: Luggest;
+
+export default Luggest;
+
+export declare function init(target: HTMLInputElement | string, options?: LuggestOptions): LuggestInstance | null;
+export declare function get(id: string): LuggestInstance | null;
+export declare function destroy(id: string): void;
+export declare function sources(list: Iterable<LuggestSourceEntry>): LuggestSourceEntry[];
+export declare function html(strings: TemplateStringsArray, ...values: any[]): DocumentFragment;
+export declare function scan(root?: Document | HTMLElement): LuggestInstance[];
+export declare function observe(): void;
+export declare function disconnect(): void;
+
+declare global {
+
+    interface Window {
+        /** Defined only by the compatibility build (src/luggest.js), not by the module builds. */
+        Luggest?: Luggest;
+    }
+
+    interface HTMLElementEventMap {
+        'luggest:search': CustomEvent<LuggestEventDetailMap['luggest:search']>;
+        'luggest:results': CustomEvent<LuggestEventDetailMap['luggest:results']>;
+        'luggest:open': CustomEvent<LuggestEventDetailMap['luggest:open']>;
+        'luggest:close': CustomEvent<LuggestEventDetailMap['luggest:close']>;
+        'luggest:highlight': CustomEvent<LuggestEventDetailMap['luggest:highlight']>;
+        'luggest:select': CustomEvent<LuggestEventDetailMap['luggest:select']>;
+        'luggest:remove': CustomEvent<LuggestEventDetailMap['luggest:remove']>;
+        'luggest:change': CustomEvent<LuggestEventDetailMap['luggest:change']>;
+        'luggest:error': CustomEvent<LuggestEventDetailMap['luggest:error']>;
+    }
+}
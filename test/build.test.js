@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { build, minify } = require('../scripts/build');
+const { setup, flush, type, option_labels } = require('./helpers');
+
+test('minified builds', async function (t) {
+
+    const builds = build();
+    const minified = await minify(builds);
+
+    let env;
+
+    t.afterEach(function () {
+
+        if (env) {
+            env.cleanup();
+            env = null;
+        }
+    });
+
+    await t.test('the minified build defines Luggest and initializes declarative inputs', async function () {
+
+        env = setup('<input type="text" id="city" data-luggest-source=\'["Prague", "Brno"]\'>', minified['luggest.min.js']);
+
+        await new Promise(function (resolve) {
+            setTimeout(resolve, 10);
+        });
+
+        const input = env.document.getElementById('city');
+
+        assert.ok(env.Luggest.get('city'));
+
+        type(input, 'pra');
+        await flush();
+
+        assert.deepEqual(option_labels(input), ['Prague']);
+    });
+
+    await t.test('the index engine stays self-contained for the worker', function () {
+
+        env = setup('', minified['luggest.min.js']);
+
+        // Same as the worker script: the function source is evaluated on its own
+        const create_engine = new Function('return (' + env.Luggest._index_engine.toString() + ');')();
+        const engine = create_engine([]);
+
+        engine.build([{ value: '1', label: 'Prague' }, { value: '2', label: 'Brno' }]);
+
+        assert.deepEqual(Array.from(engine.query('pra', 10).indices), [0]);
+    });
+
+    await t.test('the minified stylesheet keeps its rules', function () {
+
+        const css = fs.readFileSync(path.join(__dirname, '..', 'src', 'luggest.css'), 'utf8');
+
+        assert.match(minified['luggest.min.css'], /\.luggest-dropdown\{/);
+        assert.ok(minified['luggest.min.css'].length < css.length);
+    });
+});
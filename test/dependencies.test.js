@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, stub_fetch, flush, type, option_labels } = require('./helpers');
+
+test('dependent fields', async function (t) {
+
+    let env;
+    let country;
+    let city;
+
+    t.beforeEach(function () {
+        env = setup('<input type="text" id="country" name="country" value="cz"><input type="text" id="city">');
+        country = env.document.getElementById('country');
+        city = env.document.getElementById('city');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    /**
+     * Dispatch a `change` event, as when a field loses focus after editing.
+     *
+     * @param {HTMLInputElement} input
+     *
+     * @returns {void}
+     */
+    function commit(input) {
+        input.dispatchEvent(new env.window.Event('change', { bubbles: true }));
+    }
+
+    await t.test('typing into a plain parent does not reset the field', async function () {
+
+        const instance = env.Luggest.init(city, { source: ['Brno', 'Praha'], depends_on: '#country' });
+
+        await instance.set_value('Brno');
+
+        type(country, 's');
+        type(country, 'sk');
+        await flush();
+
+        assert.equal(city.value, 'Brno');
+
+        commit(country);
+        await flush();
+
+        assert.equal(city.value, '');
+    });
+
+    await t.test('a committed value equal to the last seen one keeps the field', async function () {
+
+        const instance = env.Luggest.init(city, { source: ['Brno', 'Praha'], depends_on: '#country' });
+
+        await instance.set_value('Brno');
+
+        type(country, 'sk');
+        type(country, 'cz');
+        commit(country);
+        await flush();
+
+        assert.equal(city.value, 'Brno');
+    });
+
+    await t.test('set_value() on a parent enables and resets the field', async function () {
+
+        country.value = '';
+
+        const parent = env.Luggest.init(country, { source: ['cz', 'sk'] });
+        const instance = env.Luggest.init(city, { source: ['Brno', 'Praha'], depends_on: parent, disable_until_parent: true });
+
+        assert.equal(city.disabled, true);
+
+        await parent.set_value('cz');
+        await flush();
+
+        assert.equal(city.disabled, false);
+
+        await instance.set_value('Brno');
+        await parent.set_value('sk');
+        await flush();
+
+        assert.equal(city.value, '');
+    });
+
+    await t.test('indexed sources apply filter before limiting results', async function () {
+
+        const cities = [];
+
+        for (let i = 1; i <= 30; i++) {
+            cities.push({ value: 'cz' + i, label: 'Stadt cz ' + i, metadata: { country: 'cz' } });
+        }
+
+        cities.push({ value: 'de1', label: 'Stadt de Deutschland', metadata: { country: 'de' } });
+
+        country.value = 'de';
+
+        const instance = env.Luggest.init(city, {
+            source: cities,
+            index: true,
+            depends_on: '#country',
+            filter: function (item, depends) {
+                return item.metadata.country === depends.country;
+            }
+        });
+
+        await instance.search('stadt');
+        assert.deepEqual(option_labels(city), ['Stadt de Deutschland']);
+
+        country.value = 'cz';
+        commit(country);
+        await flush();
+
+        await instance.search('stadt');
+        assert.equal(option_labels(city).length, instance.options.max_results);
+    });
+
+    await t.test('a parent change keeps cached results of other fields', async function () {
+
+        const server = stub_fetch(env.window);
+
+        env.document.body.insertAdjacentHTML('beforeend', '<input type="text" id="town">');
+
+        const town = env.document.getElementById('town');
+
+        env.Luggest.init(city, { source: '/api/cities', cache: true, depends_on: '#country' });
+        env.Luggest.init(town, { source: '/api/cities', cache: true });
+
+        type(town, 'br');
+        await flush();
+        server.calls[0].respond(['Brno']);
+        await flush();
+
+        country.value = 'sk';
+        commit(country);
+        await flush();
+
+        type(town, '');
+        type(town, 'br');
+        await flush();
+
+        assert.equal(server.calls.length, 1);
+    });
+});
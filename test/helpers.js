@@ -0,0 +1,206 @@
+/**
+ * Test helpers
+ * ------------
+ * Every test gets a fresh jsdom window with the UMD build evaluated in it,
+ * so instances, listeners and timers never leak between tests. The build is
+ * generated from src/luggest.core.js in memory, so tests always run against
+ * the current core (test/build.test.js checks the other builds).
+ */
+
+'use strict';
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const build = require('../scripts/build').build()['luggest.umd.js'];
+
+/**
+ * Create a window with Luggest loaded.
+ *
+ * @param {String} [body] Body markup, a single `<input id="city">` by default.
+ * @param {String} [script] Build to evaluate instead of the UMD build.
+ *
+ * @returns {{window: Window, document: Document, Luggest: Object, errors: Array<Array>, cleanup: Function}}
+ */
+function setup(body, script) {
+
+    const errors = [];
+
+    // Collect console.error calls ('[Luggest] ...') instead of printing them
+    const virtual_console = new VirtualConsole();
+    virtual_console.on('error', function () {
+        errors.push(Array.prototype.slice.call(arguments));
+    });
+
+    const dom = new JSDOM('<!doctype html><html><body>' + (body || '<input type="text" id="city">') + '</body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: virtual_console
+    });
+
+    const window = dom.window;
+
+    window.eval(script || build);
+
+    return {
+        window: window,
+        document: window.document,
+        Luggest: window.Luggest,
+        errors: errors,
+        cleanup: function () {
+            window.close();
+        }
+    };
+}
+
+/**
+ * Install a `fetch` stub whose responses are settled manually.
+ *
+ * @param {Window} window
+ *
+ * @returns {{calls: Array<{url: String, init: Object, respond: Function, fail: Function}>}}
+ */
+function stub_fetch(window) {
+
+    const calls = [];
+
+    window.fetch = function (url, init) {
+
+        return new Promise(function (resolve, reject) {
+
+            const call = {
+                url: String(url),
+                init: init || {},
+                respond: function (data, status) {
+                    const code = status || 200;
+                    resolve({
+                        ok: code >= 200 && code < 300,
+                        status: code,
+                        json: function () {
+                            return Promise.resolve(data);
+                        }
+                    });
+                },
+                fail: function (error) {
+                    reject(error);
+                }
+            };
+
+            // Aborted requests reject like the real fetch
+            if (init && init.signal) {
+                init.signal.addEventListener('abort', function () {
+                    const error = new Error('The operation was aborted.');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            }
+
+            calls.push(call);
+        });
+    };
+
+    return { calls: calls };
+}
+
+/**
+ * Wait until pending promises and zero-delay timers have run.
+ *
+ * @returns {Promise<void>}
+ */
+function flush() {
+
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 0);
+    });
+}
+
+/**
+ * Type text into an input (sets the value and dispatches `input`).
+ *
+ * @param {HTMLInputElement} input
+ * @param {String} text
+ *
+ * @returns {void}
+ */
+function type(input, text) {
+
+    const window = input.ownerDocument.defaultView;
+
+    input.value = text;
+    input.dispatchEvent(new window.InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+}
+
+/**
+ * Dispatch a keydown event on an input.
+ *
+ * @param {HTMLInputElement} input
+ * @param {String} key
+ * @param {Object} [init] Extra KeyboardEvent properties (shiftKey, ...).
+ *
+ * @returns {KeyboardEvent}
+ */
+function press(input, key, init) {
+
+    const window = input.ownerDocument.defaultView;
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, init || {}));
+
+    input.dispatchEvent(event);
+
+    return event;
+}
+
+/**
+ * Labels of the options shown in the dropdown of an input.
+ *
+ * @param {HTMLInputElement} input
+ *
+ * @returns {Array<string>}
+ */
+function option_labels(input) {
+
+    return options(input).map(function (node) {
+        return node.textContent;
+    });
+}
+
+/**
+ * Option nodes shown in the dropdown of an input.
+ *
+ * @param {HTMLInputElement} input
+ *
+ * @returns {Array<HTMLElement>}
+ */
+function options(input) {
+
+    const listbox = input.ownerDocument.getElementById(input.getAttribute('aria-controls'));
+
+    if (!listbox || listbox.style.display === 'none') {
+        return [];
+    }
+
+    return Array.prototype.slice.call(listbox.querySelectorAll('[role="option"]'));
+}
+
+/**
+ * Copy a value created inside the jsdom window into this realm, so that
+ * assert.deepEqual() does not fail on the foreign Object/Array prototypes.
+ *
+ * @param {*} value
+ *
+ * @returns {*}
+ */
+function plain(value) {
+
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    setup: setup,
+    stub_fetch: stub_fetch,
+    flush: flush,
+    type: type,
+    press: press,
+    options: options,
+    option_labels: option_labels,
+    plain: plain
+};
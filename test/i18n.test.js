@@ -0,0 +1,305 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, stub_fetch, flush, type, press, option_labels } = require('./helpers');
+
+test('messages', async function (t) {
+
+    let env;
+
+    t.beforeEach(function () {
+        env = setup('<div lang="cs"><input type="text" id="city"></div>');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    /**
+     * Text of the screen reader live region.
+     *
+     * @returns {String}
+     */
+    function announced() {
+        return env.document.querySelector('[role="status"]').textContent;
+    }
+
+    await t.test('announces result counts in English by default', async function () {
+
+        const instance = env.Luggest.init('#city', { source: ['Praha', 'Prostějov', 'Brno'] });
+
+        await instance.search('pr');
+        assert.equal(announced(), '2 results available.');
+
+        await instance.search('brno');
+        assert.equal(announced(), '1 result available.');
+
+        await instance.search('xyz');
+        assert.equal(announced(), 'No results.');
+    });
+
+    await t.test('picks plural forms by the locale of the input', async function () {
+
+        const instance = env.Luggest.init('#city', {
+            source: ['Praha', 'Přerov', 'Příbram', 'Prostějov', 'Plzeň', 'Pardubice'],
+            match: 'accent',
+            messages: {
+                results: {
+                    '=0': 'Žádné výsledky.',
+                    one: '{count} výsledek.',
+                    few: '{count} výsledky.',
+                    other: '{count} výsledků.'
+                }
+            }
+        });
+
+        assert.deepEqual(Array.from(instance.options.locale), ['cs']);
+
+        await instance.search('pr');
+        assert.equal(announced(), '4 výsledky.');
+
+        await instance.search('p');
+        assert.equal(announced(), '6 výsledků.');
+
+        await instance.search('plz');
+        assert.equal(announced(), '1 výsledek.');
+
+        await instance.search('xyz');
+        assert.equal(announced(), 'Žádné výsledky.');
+    });
+
+    await t.test('falls back to `other` and accepts functions', async function () {
+
+        const instance = env.Luggest.init('#city', {
+            source: ['Praha', 'Prostějov'],
+            locale: 'ar-EG',
+            messages: {
+                results: { other: '{count}' },
+                create: function (params) {
+                    return '+ ' + params.query;
+                }
+            },
+            create: true
+        });
+
+        await instance.search('pr');
+
+        assert.equal(announced(), '٣', 'two matches and the create row, in Arabic-Indic digits');
+        assert.deepEqual(option_labels(env.document.getElementById('city')), ['Praha', 'Prostějov', '+ pr']);
+    });
+
+    await t.test('localizes loading, error and retry texts', async function () {
+
+        const server = stub_fetch(env.window);
+        const input = env.document.getElementById('city');
+
+        env.Luggest.init(input, {
+            source: '/api/cities',
+            on_error: function () {},
+            messages: {
+                loading: 'Načítám…',
+                error: 'Nepodařilo se načíst návrhy.',
+                retry: 'Zkusit znovu',
+                error_announcement: 'Chyba, Enter pro nový pokus.'
+            }
+        });
+
+        type(input, 'pr');
+        await flush();
+
+        assert.equal(env.document.querySelector('.luggest-status-loading').textContent, 'Načítám…');
+
+        server.calls[0].respond(null, 503);
+        await flush();
+
+        assert.equal(env.document.querySelector('.luggest-error-message').textContent, 'Nepodařilo se načíst návrhy.');
+        assert.equal(env.document.querySelector('.luggest-retry').textContent, 'Zkusit znovu');
+        assert.equal(announced(), 'Chyba, Enter pro nový pokus.');
+    });
+
+    await t.test('global defaults can be changed on Luggest.messages', async function () {
+
+        env.Luggest.messages.invalid = 'Vyberte hodnotu ze seznamu.';
+
+        const input = env.document.getElementById('city');
+
+        env.Luggest.init(input, { source: ['Praha'], strict: true });
+
+        type(input, 'xyz');
+        input.dispatchEvent(new env.window.FocusEvent('blur'));
+
+        assert.equal(input.validationMessage, 'Vyberte hodnotu ze seznamu.');
+    });
+
+    await t.test('keeps unknown placeholders', function () {
+
+        assert.equal(env.Luggest._format_message('{label} / {other}', { label: 'Brno' }), 'Brno / {other}');
+    });
+});
+
+test('locale-aware matching', async function (t) {
+
+    let env;
+    let input;
+
+    t.beforeEach(function () {
+        env = setup();
+        input = env.document.getElementById('city');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    await t.test('folds case by the locale (Turkish dotted I)', async function () {
+
+        const cities = ['İstanbul', 'İzmir', 'Ankara'];
+        const instance = env.Luggest.init(input, { source: cities, locale: 'tr' });
+
+        await instance.search('iz');
+        assert.deepEqual(option_labels(input), ['İzmir']);
+
+        instance.set_options({ locale: 'en' });
+        await instance.search('iz');
+        assert.deepEqual(option_labels(input), []);
+    });
+
+    await t.test('indexed sources fold by the locale as well', async function () {
+
+        const instance = env.Luggest.init(input, { source: ['İstanbul', 'İzmir'], locale: 'tr', index: true });
+
+        await instance.search('ist');
+
+        assert.deepEqual(option_labels(input), ['İstanbul']);
+    });
+
+    await t.test('sorts items with equal scores by collation', async function () {
+
+        const instance = env.Luggest.init(input, { source: ['Chata Les', 'Hotel Les'], locale: 'cs' });
+
+        await instance.search('les');
+        assert.deepEqual(option_labels(input), ['Hotel Les', 'Chata Les'], 'ch sorts after h in Czech');
+
+        instance.set_options({ locale: 'en' });
+        await instance.search('les');
+        assert.deepEqual(option_labels(input), ['Chata Les', 'Hotel Les']);
+
+        instance.set_options({ locale: 'cs', index: true });
+        await instance.search('les');
+        assert.deepEqual(option_labels(input), ['Hotel Les', 'Chata Les']);
+    });
+
+    await t.test('strict mode compares labels by collation', async function () {
+
+        let selected = null;
+
+        const instance = env.Luggest.init(input, {
+            source: ['Irmak', 'Izmir'],
+            locale: 'tr',
+            strict: true,
+            match: function () {
+                return true;
+            },
+            on_select: function (element, item) {
+                selected = item.value;
+            }
+        });
+
+        await instance.search('ırmak');
+        input.dispatchEvent(new env.window.FocusEvent('blur'));
+
+        assert.equal(selected, 'Irmak');
+    });
+
+    await t.test('inline completion compares prefixes by collation', async function () {
+
+        env.Luggest.init(input, { source: ['Irmak'], locale: 'tr', inline_completion: true });
+
+        type(input, 'ır');
+        await flush();
+
+        assert.equal(input.value, 'ırmak');
+        assert.equal(input.selectionStart, 2);
+
+        press(input, 'Tab');
+
+        assert.equal(input.value, 'Irmak');
+    });
+
+    await t.test('logs invalid locales and uses the page language', function () {
+
+        env.document.documentElement.lang = 'de';
+
+        const instance = env.Luggest.init(input, { source: [], locale: 'not a locale!' });
+
+        assert.deepEqual(Array.from(instance.options.locale), ['de']);
+        assert.match(env.errors[0][0], /^\[Luggest\] Invalid locale/);
+    });
+});
+
+test('right-to-left layout', async function (t) {
+
+    let env;
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    /**
+     * Open a dropdown for an input placed at 100..300px horizontally.
+     *
+     * @param {String} body
+     *
+     * @returns {Promise<HTMLElement>} Dropdown container.
+     */
+    async function open_at(body) {
+
+        env = setup(body);
+
+        const input = env.document.getElementById('city');
+
+        input.getBoundingClientRect = function () {
+            return { top: 10, bottom: 40, left: 100, right: 300, width: 200, height: 30 };
+        };
+
+        const instance = env.Luggest.init(input, { source: ['Praha', 'Přerov'] });
+
+        await instance.search('pr');
+
+        const container = env.document.getElementById(input.getAttribute('aria-controls'));
+
+        // jsdom does no layout: a dropdown wider than the input
+        Object.defineProperty(container, 'offsetWidth', { configurable: true, value: 260 });
+        instance._position_container();
+
+        return container;
+    }
+
+    await t.test('aligns the dropdown to the left edge of LTR inputs', async function () {
+
+        const container = await open_at('<input type="text" id="city">');
+
+        assert.equal(container.getAttribute('dir'), 'ltr');
+        assert.equal(container.style.left, '100px');
+    });
+
+    await t.test('aligns the dropdown to the right edge of RTL inputs', async function () {
+
+        const container = await open_at('<div dir="rtl"><input type="text" id="city"></div>');
+
+        assert.equal(container.getAttribute('dir'), 'rtl');
+        assert.equal(container.style.left, '40px');
+    });
+
+    await t.test('keeps RTL dropdowns inside the viewport', async function () {
+
+        const container = await open_at('<input type="text" id="city" dir="RTL">');
+
+        Object.defineProperty(container, 'offsetWidth', { configurable: true, value: 400 });
+        env.Luggest.get('city')._position_container();
+
+        assert.equal(container.style.left, '8px');
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, flush } = require('./helpers');
+
+test('init', async function (t) {
+
+    let env;
+
+    t.beforeEach(function () {
+        env = setup('<input type="text" id="city"><input type="text" class="anonymous">');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    await t.test('returns null and logs an error when the target is not found', function () {
+
+        assert.equal(env.Luggest.init('#missing', { source: [] }), null);
+        assert.equal(env.errors.length, 1);
+        assert.match(env.errors[0][0], /^\[Luggest\] Target element not found/);
+        assert.equal(env.errors[0][1], '#missing');
+    });
+
+    await t.test('the constructor throws when the target is not found', function () {
+
+        assert.throws(function () {
+            return new env.Luggest.Instance('#missing', { source: [] });
+        }, /\[Luggest\] Could not initialize instance for: #missing/);
+    });
+
+    await t.test('accepts a selector or an element and registers the instance', function () {
+
+        const input = env.document.getElementById('city');
+        const instance = env.Luggest.init('#city', { source: [] });
+
+        assert.ok(instance);
+        assert.equal(instance.element, input);
+        assert.equal(env.Luggest.get('city'), instance);
+        assert.equal(env.Luggest.instances.city, instance);
+        assert.equal(env.Luggest.init(input), instance, 'existing instance is returned');
+        assert.ok(instance instanceof env.Luggest.Instance);
+        assert.equal(input.dataset.luggest, '1');
+    });
+
+    await t.test('generates an id for inputs without one', function () {
+
+        const input = env.document.querySelector('.anonymous');
+        const instance = env.Luggest.init(input, { source: [] });
+
+        assert.ok(input.id);
+        assert.equal(env.Luggest.get(input.id), instance);
+    });
+
+    await t.test('sets up the combobox ARIA attributes', async function () {
+
+        const input = env.document.getElementById('city');
+        const instance = env.Luggest.init(input, { source: ['Prague'] });
+
+        assert.equal(input.getAttribute('role'), 'combobox');
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+        assert.equal(input.getAttribute('aria-autocomplete'), 'list');
+
+        await instance.search('pra');
+
+        assert.equal(input.getAttribute('aria-expanded'), 'true');
+        assert.equal(env.document.getElementById(input.getAttribute('aria-controls')).getAttribute('role'), 'listbox');
+    });
+});
+
+test('declarative initialization', async function (t) {
+
+    let env;
+
+    t.beforeEach(function () {
+        env = setup('<div id="form"></div>');
+        env.Luggest.observe();
+    });
+
+    t.afterEach(function () {
+        env.Luggest.disconnect();
+        env.cleanup();
+    });
+
+    await t.test('initializes added inputs and destroys them when removed', async function () {
+
+        const form = env.document.getElementById('form');
+
+        form.innerHTML = '<input type="text" id="city" data-luggest-source=\'["Prague"]\'>';
+        await flush();
+
+        assert.ok(env.Luggest.get('city'));
+
+        form.innerHTML = '';
+        await flush();
+
+        assert.equal(env.Luggest.get('city'), null);
+    });
+
+    await t.test('keeps instances of init() on detached elements', async function () {
+
+        const input = env.document.createElement('input');
+
+        input.id = 'city';
+        env.Luggest.init(input, { source: ['Prague'] });
+
+        env.document.getElementById('form').appendChild(input);
+        input.remove();
+        await flush();
+
+        assert.ok(env.Luggest.get('city'));
+
+        env.document.getElementById('form').appendChild(input);
+        await env.Luggest.get('city').search('pra');
+
+        assert.equal(env.document.getElementById(input.getAttribute('aria-controls')).textContent, 'Prague');
+    });
+
+    await t.test('ignores changes within its own dropdown', async function () {
+
+        const form = env.document.getElementById('form');
+
+        form.innerHTML = '<input type="text" id="city">';
+
+        const instance = env.Luggest.init('#city', { source: ['Prague', 'Praha'] });
+        await flush();
+
+        let scans = 0;
+        const scan = env.Luggest.scan;
+
+        env.Luggest.scan = function () {
+            scans++;
+            return scan.apply(this, arguments);
+        };
+
+        await instance.search('pra');
+        await instance.search('prag');
+        instance.close();
+        await flush();
+
+        assert.equal(scans, 0);
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, flush, type, press, options } = require('./helpers');
+
+test('keyboard navigation', async function (t) {
+
+    let env;
+    let input;
+    let instance;
+    let selected;
+
+    t.beforeEach(async function () {
+
+        env = setup();
+        input = env.document.getElementById('city');
+        selected = [];
+
+        instance = env.Luggest.init(input, {
+            source: ['Prague', 'Praha', 'Prachatice'],
+            on_select: function (element, item) {
+                selected.push(item.value);
+            }
+        });
+
+        type(input, 'pra');
+        await flush();
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    /**
+     * Index of the highlighted option, checked against aria-activedescendant.
+     *
+     * @returns {Number}
+     */
+    function highlighted() {
+
+        const nodes = options(input);
+        const index = nodes.findIndex(function (node) {
+            return node.getAttribute('aria-selected') === 'true';
+        });
+
+        if (index >= 0) {
+            assert.equal(input.getAttribute('aria-activedescendant'), nodes[index].id);
+        }
+
+        return index;
+    }
+
+    await t.test('ArrowDown and ArrowUp move the highlight and wrap around', function () {
+
+        assert.equal(options(input).length, 3);
+        assert.equal(highlighted(), -1);
+
+        assert.equal(press(input, 'ArrowDown').defaultPrevented, true);
+        assert.equal(highlighted(), 0);
+
+        press(input, 'ArrowDown');
+        press(input, 'ArrowDown');
+        assert.equal(highlighted(), 2);
+
+        press(input, 'ArrowDown');
+        assert.equal(highlighted(), 0);
+
+        press(input, 'ArrowUp');
+        assert.equal(highlighted(), 2);
+    });
+
+    await t.test('Home and End jump while an option is highlighted', function () {
+
+        assert.equal(press(input, 'End').defaultPrevented, false, 'moves the caret before navigating');
+
+        press(input, 'ArrowDown');
+        press(input, 'End');
+        assert.equal(highlighted(), 2);
+
+        press(input, 'Home');
+        assert.equal(highlighted(), 0);
+    });
+
+    await t.test('Enter selects the highlighted option and closes', function () {
+
+        const label = options(input)[1].textContent;
+
+        press(input, 'ArrowDown');
+        press(input, 'ArrowDown');
+
+        assert.equal(press(input, 'Enter').defaultPrevented, true);
+        assert.deepEqual(selected, [label]);
+        assert.equal(input.value, label);
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+        assert.deepEqual(options(input), []);
+    });
+
+    await t.test('Enter without a highlighted option does nothing', function () {
+
+        assert.equal(press(input, 'Enter').defaultPrevented, false);
+        assert.deepEqual(selected, []);
+        assert.equal(input.getAttribute('aria-expanded'), 'true');
+    });
+
+    await t.test('Escape closes without selecting', function () {
+
+        press(input, 'ArrowDown');
+        press(input, 'Escape');
+
+        assert.deepEqual(selected, []);
+        assert.equal(input.value, 'pra');
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+        assert.equal(input.hasAttribute('aria-activedescendant'), false);
+    });
+
+    await t.test('keys are ignored while closed', function () {
+
+        instance.close();
+
+        assert.equal(press(input, 'ArrowDown').defaultPrevented, false);
+        assert.equal(press(input, 'Enter').defaultPrevented, false);
+        assert.deepEqual(selected, []);
+    });
+});
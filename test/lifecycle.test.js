@@ -0,0 +1,198 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, stub_fetch, flush, type, options, option_labels } = require('./helpers');
+
+test('closing on outside click', async function (t) {
+
+    let env;
+    let input;
+    let instance;
+
+    t.beforeEach(async function () {
+
+        env = setup('<p id="outside">Text</p><input type="text" id="city">');
+        input = env.document.getElementById('city');
+        instance = env.Luggest.init(input, { source: ['Prague', 'Praha'] });
+
+        await instance.search('pra');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    await t.test('a click outside closes the dropdown', function () {
+
+        env.document.getElementById('outside').click();
+
+        assert.deepEqual(options(input), []);
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+    });
+
+    await t.test('clicks on the input and into the dropdown keep it open', function () {
+
+        input.click();
+        env.document.getElementById(input.getAttribute('aria-controls')).click();
+
+        assert.equal(options(input).length, 2);
+        assert.equal(input.getAttribute('aria-expanded'), 'true');
+    });
+
+    await t.test('emits luggest:close once', function () {
+
+        let closed = 0;
+
+        input.addEventListener('luggest:close', function () {
+            closed++;
+        });
+
+        env.document.getElementById('outside').click();
+        env.document.getElementById('outside').click();
+
+        assert.equal(closed, 1);
+    });
+});
+
+test('destroy()', async function (t) {
+
+    let env;
+
+    t.beforeEach(function () {
+        env = setup('<form><input type="text" class="city"></form>');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    await t.test('removes the dropdown, attributes and registration', async function () {
+
+        const input = env.document.querySelector('.city');
+        const instance = env.Luggest.init(input, { source: ['Prague'] });
+        const id = input.id;
+
+        await instance.search('pra');
+
+        const listbox = env.document.getElementById(input.getAttribute('aria-controls'));
+
+        assert.ok(listbox);
+
+        instance.destroy();
+
+        assert.equal(listbox.parentNode, null);
+        assert.equal(env.document.querySelector('[role="status"]'), null, 'live region is removed');
+        assert.equal(env.Luggest.get(id), null);
+        assert.equal(id in env.Luggest.instances, false);
+        assert.equal(input.hasAttribute('id'), false, 'generated id is removed');
+        assert.equal(input.hasAttribute('data-luggest'), false);
+
+        ['role', 'aria-autocomplete', 'aria-expanded', 'aria-controls', 'aria-activedescendant'].forEach(function (name) {
+            assert.equal(input.hasAttribute(name), false, name + ' is removed');
+        });
+    });
+
+    await t.test('detaches input listeners', async function () {
+
+        const input = env.document.querySelector('.city');
+        const instance = env.Luggest.init(input, { source: ['Prague'] });
+
+        instance.destroy();
+
+        type(input, 'pra');
+        await flush();
+
+        assert.deepEqual(option_labels(input), []);
+        assert.equal(env.document.querySelector('[role="listbox"]'), null);
+    });
+
+    await t.test('drops in-flight requests', async function () {
+
+        const server = stub_fetch(env.window);
+        const input = env.document.querySelector('.city');
+        const instance = env.Luggest.init(input, { source: '/api/cities' });
+
+        type(input, 'pr');
+        await flush();
+
+        instance.destroy();
+
+        assert.equal(server.calls[0].init.signal.aborted, true);
+
+        server.calls[0].respond(['Prague']);
+        await flush();
+
+        assert.equal(env.document.querySelector('[role="listbox"]'), null);
+        assert.deepEqual(env.errors, []);
+    });
+
+    await t.test('settles searches waiting for the index worker', async function () {
+
+        const posted = [];
+
+        // Worker that never answers queries
+        env.window.Worker = function () {
+            this.postMessage = function (message) {
+                posted.push(message.type);
+            };
+            this.terminate = function () {};
+        };
+
+        env.window.URL.createObjectURL = function () {
+            return 'blob:index';
+        };
+
+        env.window.URL.revokeObjectURL = function () {};
+
+        const input = env.document.querySelector('.city');
+        const instance = env.Luggest.init(input, { source: ['Prague'], index: { worker: true } });
+
+        let settled = false;
+
+        instance.search('pra').then(function () {
+            settled = true;
+        });
+
+        await flush();
+
+        assert.deepEqual(posted, ['build', 'query']);
+        assert.equal(settled, false);
+
+        instance.destroy();
+        await flush();
+
+        assert.equal(settled, true);
+        assert.deepEqual(option_labels(input), []);
+        assert.deepEqual(env.errors, []);
+    });
+
+    await t.test('Luggest.destroy(id) destroys by element id and ignores unknown ids', function () {
+
+        const input = env.document.querySelector('.city');
+
+        input.id = 'city';
+        env.Luggest.init(input, { source: [] });
+
+        env.Luggest.destroy('unknown');
+        env.Luggest.destroy('city');
+
+        assert.equal(env.Luggest.get('city'), null);
+        assert.equal(input.id, 'city', 'own id is kept');
+    });
+
+    await t.test('the input can be initialized again', async function () {
+
+        const input = env.document.querySelector('.city');
+
+        env.Luggest.init(input, { source: ['Prague'] }).destroy();
+
+        const instance = env.Luggest.init(input, { source: ['Brno'] });
+
+        await instance.search('br');
+
+        assert.deepEqual(option_labels(input), ['Brno']);
+        assert.equal(env.document.querySelectorAll('[role="listbox"]').length, 1);
+    });
+});
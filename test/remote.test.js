@@ -0,0 +1,208 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, stub_fetch, flush, type, option_labels } = require('./helpers');
+
+test('remote sources', async function (t) {
+
+    let env;
+    let input;
+    let server;
+
+    t.beforeEach(function () {
+        env = setup();
+        input = env.document.getElementById('city');
+        server = stub_fetch(env.window);
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    await t.test('requests the URL with the query as `term`', async function () {
+
+        env.Luggest.init(input, { source: '/api/cities' });
+
+        type(input, 'pr ag');
+        await flush();
+
+        assert.equal(server.calls.length, 1);
+        assert.equal(server.calls[0].url, '/api/cities?term=pr%20ag');
+        assert.equal(server.calls[0].init.method, 'GET');
+
+        server.calls[0].respond([{ value: 'prg', label: 'Prague' }]);
+        await flush();
+
+        assert.deepEqual(option_labels(input), ['Prague']);
+    });
+
+    await t.test('marks the input as loading until the response arrives', async function () {
+
+        const states = [];
+
+        env.Luggest.init(input, {
+            source: '/api/cities',
+            on_loading: function (element, is_loading) {
+                states.push(is_loading);
+            }
+        });
+
+        type(input, 'pr');
+        await flush();
+
+        assert.ok(input.classList.contains('luggest-loading'));
+        assert.match(env.document.querySelector('.luggest-status-loading').textContent, /^Loading/);
+
+        server.calls[0].respond(['Prague']);
+        await flush();
+
+        assert.equal(input.classList.contains('luggest-loading'), false);
+        assert.deepEqual(states, [true, false]);
+    });
+
+    await t.test('aborts the previous request and drops its response', async function () {
+
+        env.Luggest.init(input, { source: '/api/cities', cache: false });
+
+        type(input, 'pr');
+        await flush();
+
+        type(input, 'br');
+        await flush();
+
+        assert.equal(server.calls.length, 2);
+        assert.equal(server.calls[0].init.signal.aborted, true);
+        assert.equal(server.calls[1].init.signal.aborted, false);
+
+        server.calls[1].respond(['Brno']);
+        server.calls[0].respond(['Prague']);
+        await flush();
+
+        assert.deepEqual(option_labels(input), ['Brno']);
+        assert.deepEqual(env.errors, [], 'aborted requests are not reported');
+    });
+
+    await t.test('drops responses of superseded searches that resolve late', async function () {
+
+        const pending = {};
+
+        env.Luggest.init(input, {
+            source: function (query) {
+                return new Promise(function (resolve) {
+                    pending[query] = resolve;
+                });
+            }
+        });
+
+        type(input, 'pr');
+        await flush();
+
+        type(input, 'pra');
+        await flush();
+
+        pending.pra(['Prague']);
+        await flush();
+
+        assert.deepEqual(option_labels(input), ['Prague']);
+
+        pending.pr(['Přerov', 'Prostějov']);
+        await flush();
+
+        assert.deepEqual(option_labels(input), ['Prague']);
+    });
+
+    await t.test('drops pending responses once the dropdown is closed', async function () {
+
+        const instance = env.Luggest.init(input, { source: '/api/cities' });
+
+        type(input, 'pr');
+        await flush();
+
+        instance.close();
+        type(input, '');
+        server.calls[0].respond(['Prague']);
+        await flush();
+
+        assert.deepEqual(option_labels(input), []);
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+    });
+
+    await t.test('refresh() drops only its own entries from a shared cache', async function () {
+
+        env.document.body.insertAdjacentHTML('beforeend', '<input type="text" id="town">');
+
+        const town = env.document.getElementById('town');
+        const instance = env.Luggest.init(input, { source: '/api/cities', cache: true });
+
+        env.Luggest.init(town, { source: '/api/cities', cache: true, request: { params: { country: 'cz' } } });
+
+        type(input, 'pr');
+        await flush();
+        server.calls[0].respond(['Prague']);
+        await flush();
+
+        type(town, 'pr');
+        await flush();
+        server.calls[1].respond(['Přerov']);
+        await flush();
+
+        instance.close();
+        instance.refresh();
+
+        type(town, '');
+        type(town, 'pr');
+        await flush();
+
+        assert.equal(server.calls.length, 2, 'the other instance is served from the cache');
+        assert.deepEqual(option_labels(town), ['Přerov']);
+
+        type(input, '');
+        type(input, 'pr');
+        await flush();
+
+        assert.equal(server.calls.length, 3);
+        assert.equal(server.calls[2].url, '/api/cities?term=pr');
+    });
+
+    await t.test('shows an error row and logs failed requests', async function () {
+
+        env.Luggest.init(input, { source: '/api/cities' });
+
+        type(input, 'pr');
+        await flush();
+
+        server.calls[0].respond({ error: 'down' }, 500);
+        await flush();
+
+        const status = env.document.querySelector('.luggest-status-error');
+
+        assert.ok(status);
+        assert.match(status.textContent, /Could not load suggestions\./);
+        assert.equal(env.errors.length, 1);
+        assert.match(env.errors[0][0], /^\[Luggest\] Error loading suggestions/);
+        assert.match(env.errors[0][1].message, /status 500/);
+    });
+
+    await t.test('on_error replaces logging', async function () {
+
+        const reported = [];
+
+        env.Luggest.init(input, {
+            source: '/api/cities',
+            on_error: function (element, error) {
+                reported.push(error.message);
+            }
+        });
+
+        type(input, 'pr');
+        await flush();
+
+        server.calls[0].fail(new Error('offline'));
+        await flush();
+
+        assert.deepEqual(reported, ['offline']);
+        assert.deepEqual(env.errors, []);
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup } = require('./helpers');
+
+test('Luggest.html', async function (t) {
+
+    let env;
+
+    t.beforeEach(function () {
+        env = setup();
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    /**
+     * Markup of a fragment.
+     *
+     * @param {DocumentFragment} fragment
+     *
+     * @returns {String}
+     */
+    function markup(fragment) {
+
+        const container = env.document.createElement('div');
+        container.appendChild(fragment);
+
+        return container.innerHTML;
+    }
+
+    await t.test('escapes interpolated text and quoted attribute values', function () {
+
+        const label = '<img src=x onerror="alert(1)">';
+        const title = '" onmouseover="alert(1)';
+
+        assert.equal(
+            markup(env.Luggest.html`<strong title="${title}">${label}</strong>`),
+            '<strong title="&quot; onmouseover=&quot;alert(1)">&lt;img src=x onerror="alert(1)"&gt;</strong>'
+        );
+    });
+
+    await t.test('removes script URLs from URL attributes', function () {
+
+        const fragment = env.Luggest.html`<a href="${' java\tscript:alert(1)'}">A</a><img src="${'data:text/html,x'}" alt="">`;
+
+        assert.equal(markup(fragment), '<a>A</a><img alt="">');
+        assert.equal(env.errors.length, 2);
+        assert.match(env.errors[0][0], /^\[Luggest\] Unsafe URL removed/);
+    });
+
+    await t.test('keeps regular URLs and data images', function () {
+
+        const fragment = env.Luggest.html`<a href="${'/people/12?tab=info'}">A</a><img src="${'data:image/png;base64,AAAA'}" alt="">`;
+
+        assert.equal(markup(fragment), '<a href="/people/12?tab=info">A</a><img src="data:image/png;base64,AAAA" alt="">');
+        assert.deepEqual(env.errors, []);
+    });
+});
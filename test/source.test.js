@@ -0,0 +1,369 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, flush, type, press, option_labels, plain } = require('./helpers');
+
+test('normalization', async function (t) {
+
+    let env;
+
+    t.beforeEach(function () {
+        env = setup();
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    await t.test('string items use the string as value and label', function () {
+
+        assert.deepEqual(plain(env.Luggest._normalize_item('Prague')), { value: 'Prague', label: 'Prague', metadata: null, group: null });
+        assert.deepEqual(plain(env.Luggest._normalize_item(42)), { value: '42', label: '42', metadata: null, group: null });
+    });
+
+    await t.test('object items fall back between value and label', function () {
+
+        const metadata = { population: 1300000 };
+        const item = env.Luggest._normalize_item({ value: 1, label: 'Prague', metadata: metadata, group: 'CZ' });
+
+        assert.deepEqual(plain(item), { value: '1', label: 'Prague', metadata: { population: 1300000 }, group: 'CZ' });
+        assert.equal(item.metadata, metadata, 'metadata is passed through as is');
+        assert.deepEqual(plain(env.Luggest._normalize_item({ value: 'prg' })), { value: 'prg', label: 'prg', metadata: null, group: null });
+        assert.deepEqual(plain(env.Luggest._normalize_item({ label: 'Brno' })), { value: 'Brno', label: 'Brno', metadata: null, group: null });
+        assert.equal(env.Luggest._normalize_item({ value: 'x', group: '' }).group, null);
+    });
+
+    await t.test('lists that are not arrays normalize to no items', function () {
+
+        assert.deepEqual(plain(env.Luggest._normalize_list(null)), []);
+        assert.deepEqual(plain(env.Luggest._normalize_list({ items: [] })), []);
+        assert.equal(env.Luggest._normalize_list(['a', { value: 'b' }]).length, 2);
+    });
+
+    await t.test('selected items are normalized', async function () {
+
+        let selected = null;
+
+        const instance = env.Luggest.init('#city', {
+            source: ['Prague', { value: 'brn', label: 'Brno' }],
+            on_select: function (element, item) {
+                selected = item;
+            }
+        });
+
+        await instance.set_value('brn');
+
+        assert.deepEqual(plain(instance.get_selected()), { value: 'brn', label: 'Brno', metadata: null, group: null });
+        assert.equal(env.document.getElementById('city').value, 'brn', 'the input holds the value without value_input');
+        assert.equal(selected, null, 'set_value() does not call on_select');
+    });
+
+    await t.test('selected items do not carry search fields', async function () {
+
+        const input = env.document.getElementById('city');
+        const events = [];
+        let selected = null;
+
+        const instance = env.Luggest.init(input, {
+            source: ['Prague', { value: 'brn', label: 'Brno' }],
+            inline_completion: true,
+            on_select: function (element, item) {
+                selected = item;
+            }
+        });
+
+        input.addEventListener('luggest:select', function (event) {
+            events.push(event.detail.item);
+        });
+
+        type(input, 'pra');
+        await flush();
+        press(input, 'Tab');
+
+        const expected = { value: 'Prague', label: 'Prague', metadata: null, group: null };
+
+        assert.deepEqual(plain(instance.get_selected()), expected);
+        assert.deepEqual(plain(selected), expected);
+        assert.deepEqual(plain(events), [expected]);
+
+        await instance.search('br');
+        await instance.set_value('brn');
+
+        assert.deepEqual(plain(instance.get_selected()), { value: 'brn', label: 'Brno', metadata: null, group: null });
+    });
+});
+
+test('filtering', async function (t) {
+
+    let env;
+    let input;
+
+    const cities = ['Prague', 'Brno', 'Ostrava', 'Plzeň', 'Pardubice', 'Přerov'];
+
+    t.beforeEach(function () {
+        env = setup();
+        input = env.document.getElementById('city');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    await t.test('matches a case-insensitive substring', async function () {
+
+        env.Luggest.init(input, { source: cities });
+
+        type(input, 'RA');
+        await flush();
+
+        assert.deepEqual(option_labels(input), ['Prague', 'Ostrava']);
+    });
+
+    await t.test('does not search below min_length', async function () {
+
+        env.Luggest.init(input, { source: cities, min_length: 2 });
+
+        type(input, 'p');
+        await flush();
+
+        assert.deepEqual(option_labels(input), []);
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+
+        type(input, 'pr');
+        await flush();
+
+        assert.deepEqual(option_labels(input), ['Prague']);
+    });
+
+    await t.test('limits results to max_results', async function () {
+
+        env.Luggest.init(input, { source: cities, max_results: 2 });
+
+        type(input, 'p');
+        await flush();
+
+        assert.equal(option_labels(input).length, 2);
+    });
+
+    await t.test('match strategies', async function () {
+
+        const instance = env.Luggest.init(input, { source: cities, match: 'prefix' });
+
+        await instance.search('ra');
+        assert.deepEqual(option_labels(input), []);
+
+        instance.set_options({ match: 'accent' });
+        await instance.search('plzen');
+        assert.deepEqual(option_labels(input), ['Plzeň']);
+
+        instance.set_options({ match: 'fuzzy' });
+        await instance.search('pbc');
+        assert.deepEqual(option_labels(input), ['Pardubice']);
+    });
+
+    await t.test('function sources receive the query', async function () {
+
+        const queries = [];
+
+        const instance = env.Luggest.init(input, {
+            source: function (query) {
+                queries.push(query);
+                return Promise.resolve([{ value: 1, label: query.toUpperCase() }]);
+            }
+        });
+
+        await instance.search('brn');
+
+        assert.deepEqual(queries, ['brn']);
+        assert.deepEqual(option_labels(input), ['BRN']);
+    });
+
+    await t.test('shows no options and closes without matches', async function () {
+
+        env.Luggest.init(input, { source: cities });
+
+        type(input, 'xyz');
+        await flush();
+
+        assert.deepEqual(option_labels(input), []);
+    });
+});
+
+test('multiple sources', async function (t) {
+
+    let env;
+    let input;
+
+    t.beforeEach(function () {
+        env = setup();
+        input = env.document.getElementById('city');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    await t.test('items with their own source field are items', async function () {
+
+        const instance = env.Luggest.init(input, {
+            source: [{ value: 'a', label: 'Alpha', source: 'crm' }, { value: 'b', label: 'Beta', search: function () {} }]
+        });
+
+        await instance.search('a');
+
+        assert.deepEqual(option_labels(input), ['Alpha', 'Beta']);
+        assert.deepEqual(env.errors, []);
+    });
+
+    await t.test('Luggest.sources() merges arrays and functions', async function () {
+
+        const instance = env.Luggest.init(input, {
+            source: env.Luggest.sources([
+                ['Prague', 'Brno'],
+                function () {
+                    return [{ value: 'Brno', label: 'Brno (duplicate)' }, 'Bratislava'];
+                }
+            ])
+        });
+
+        await instance.search('br');
+
+        assert.deepEqual(option_labels(input), ['Brno', 'Bratislava']);
+    });
+
+    await t.test('an array of descriptors and adapters needs no wrapper', async function () {
+
+        const instance = env.Luggest.init(input, {
+            source: [
+                { source: ['Prague'], group: 'Cities' },
+                {
+                    search: function () {
+                        return ['Praha 1'];
+                    },
+                    group: 'Districts'
+                }
+            ]
+        });
+
+        await instance.search('pra');
+
+        assert.deepEqual(option_labels(input), ['Prague', 'Praha 1']);
+    });
+
+    await t.test('paging queries only sources with more results', async function () {
+
+        const pages = { short: [], long: [] };
+
+        /**
+         * Function source returning `count` pages of two items.
+         *
+         * @param {String} name
+         * @param {Number} count
+         *
+         * @returns {Function}
+         */
+        function paged(name, count) {
+            return function (query, context) {
+                pages[name].push(context.page);
+                return {
+                    items: [name + ' ' + context.page + 'a', name + ' ' + context.page + 'b'],
+                    has_more: context.page < count
+                };
+            };
+        }
+
+        const instance = env.Luggest.init(input, {
+            source: env.Luggest.sources([paged('short', 1), paged('long', 3)]),
+            paging: { page_size: 2 }
+        });
+
+        await instance.search('x');
+
+        instance._load_more();
+        await flush();
+
+        instance._load_more();
+        await flush();
+
+        instance._load_more();
+        await flush();
+
+        assert.deepEqual(pages, { short: [1], long: [1, 2, 3] });
+        assert.equal(option_labels(input).length, 8);
+        assert.equal(instance._has_more, false);
+    });
+});
+
+test('creatable items', async function (t) {
+
+    let env;
+    let input;
+
+    t.beforeEach(function () {
+        env = setup();
+        input = env.document.getElementById('city');
+    });
+
+    t.afterEach(function () {
+        env.cleanup();
+    });
+
+    /**
+     * Type text and choose the create row (the only option without matches).
+     *
+     * @param {String} text
+     *
+     * @returns {Promise<void>}
+     */
+    async function create(text) {
+
+        type(input, text);
+        await flush();
+
+        press(input, 'ArrowDown');
+        press(input, 'Enter');
+        await flush();
+    }
+
+    await t.test('adds the created item to the source and selects it', async function () {
+
+        const instance = env.Luggest.init(input, {
+            source: ['Prague'],
+            create: true,
+            on_create: function (element, text) {
+                return text.trim();
+            }
+        });
+
+        await create('Brno ');
+
+        assert.equal(input.value, 'Brno');
+        assert.equal(instance.get_selected().label, 'Brno');
+
+        await instance.search('br');
+        assert.deepEqual(option_labels(input), ['Brno', 'Add "br"']);
+    });
+
+    await t.test('reports errors thrown by on_create', async function () {
+
+        const reported = [];
+
+        env.Luggest.init(input, {
+            source: ['Prague'],
+            create: true,
+            on_create: function () {
+                throw new Error('read-only');
+            },
+            on_error: function (element, error) {
+                reported.push(error.message);
+            }
+        });
+
+        await create('Brno');
+
+        assert.deepEqual(reported, ['read-only']);
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+    });
+});